@@ -1,22 +1,42 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
+  Linking,
   StatusBar,
   View,
   Text,
   ActivityIndicator,
-  FlatList,
+  ScrollView,
   StyleSheet,
   Platform,
   TouchableOpacity,
+  useWindowDimensions,
 } from "react-native";
 import { SafeAreaProvider, SafeAreaView } from "react-native-safe-area-context";
 import { LinearGradient } from "expo-linear-gradient";
 import { MaterialCommunityIcons } from "@expo/vector-icons";
+import * as Notifications from "expo-notifications";
 
 import useWeather from "./src/hooks/useWeather";
+import useSavedPlaces from "./src/hooks/useSavedPlaces";
 import WeatherCard from "./src/components/WeatherCard";
 import PlacePicker from "./src/components/PlacePicker";
-import { askNotificationPermission } from "./src/notifications/notificationService";
+import RulesSettings from "./src/components/RulesSettings";
+import useSettings from "./src/hooks/useSettings";
+import { PROFILES, getProfile, rulesForProfile } from "./src/utils/activityProfiles";
+import { assessSlot, findBadWeatherEpisodes, describeEpisode } from "./src/utils/weatherLogic";
+import { askNotificationPermission, ALERT_ACTIONS } from "./src/notifications/notificationService";
+import {
+  registerBackgroundCheck,
+  getLastBackgroundRun,
+  scheduleBriefing,
+  updateAlertsForPlace,
+} from "./src/services/alertCheck";
+import { describeWeather } from "./src/utils/weatherSymbols";
+import { SEVERITIES, severityTint } from "./src/utils/severity";
+import { PRECIP_TYPES } from "./src/utils/precipitation";
+import { describeLeadTimes, normalizeLeadTimes } from "./src/utils/leadTimes";
+import { parseForecastLink } from "./src/utils/deepLinks";
+import { cacheKeyFor } from "./src/services/cache";
 
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc";
@@ -24,10 +44,46 @@ import relativeTime from "dayjs/plugin/relativeTime";
 dayjs.extend(utc);
 dayjs.extend(relativeTime);
 
+const CURRENT_PAGE = "current";
+const PAGE_GAP = 12;
+
+/** Slots whose hour isn't over yet (cached/offline data can be hours old) */
+const upcomingSlots = (forecast = [], now = dayjs()) =>
+  forecast.filter((s) => dayjs(s.time).add(1, "hour").isAfter(now));
+
+/** A page's "right now" slot: the provider's, or the first upcoming hour once that's stale */
+function currentSlot(page) {
+  const upcoming = upcomingSlots(page.forecast);
+  return upcoming.length === (page.forecast?.length ?? 0) ? page.current ?? null : upcoming[0] ?? null;
+}
+
 export default function App() {
   // NOTE: useWeather must export refreshWithCoords per earlier step
-  const { status, error, current, forecast, locationInfo, refreshWithCoords } = useWeather();
+  const {
+    status,
+    error,
+    current,
+    forecast,
+    daily,
+    provider,
+    refreshing,
+    isStale,
+    dataSavedAt,
+    locationInfo,
+    refreshWithCoords,
+  } = useWeather();
+  const saved = useSavedPlaces();
+  const { settings, loaded: settingsLoaded, updateSettings } = useSettings();
   const [pickerOpen, setPickerOpen] = useState(false);
+  const [rulesOpen, setRulesOpen] = useState(false);
+
+  const profile = getProfile(settings.activeProfile);
+  const rules = useMemo(() => rulesForProfile(settings), [settings]);
+  const leadTimes = useMemo(() => normalizeLeadTimes(settings.leadTimesMin), [settings]);
+  const alertLabels = useMemo(
+    () => [...new Set(rules.filter((r) => r.enabled).map((r) => r.label))],
+    [rules]
+  );
 
   useEffect(() => {
     (async () => {
@@ -36,25 +92,25 @@ export default function App() {
       } catch (e) {
         console.warn("Notifications setup:", e?.message);
       }
+      try {
+        await registerBackgroundCheck();
+      } catch (e) {
+        console.warn("Background check setup:", e?.message);
+      }
     })();
   }, []);
 
-  const headerSubtitle = useMemo(() => {
-    if (status === "done" && current?.time) {
-      return `Updated ${dayjs(current.time).local().fromNow()}`;
-    }
-    if (status === "loading") return "Fetching your local weather…";
-    return "Weather alerts an hour ahead";
-  }, [status, current]);
-
-  const maxRain = useMemo(
-    () =>
-      Math.max(
-        0,
-        ...forecast.map((f) => (Number.isFinite(f.precipMM) ? f.precipMM : 0))
-      ),
-    [forecast]
-  );
+  // Daily briefing follows its own settings, the rules it reports on and the place on screen;
+  // the background check keeps it fresh. Waits for stored settings so the defaults don't
+  // cancel a briefing that's switched on.
+  const { lat, lon, city } = locationInfo;
+  const { briefing, activeProfile, rulesByProfile } = settings;
+  useEffect(() => {
+    if (!settingsLoaded || lat == null || lon == null) return;
+    scheduleBriefing({ lat, lon, city }, { briefing, activeProfile, rulesByProfile }).catch((e) =>
+      console.warn("Daily briefing:", e?.message)
+    );
+  }, [settingsLoaded, briefing, activeProfile, rulesByProfile, lat, lon, city]);
 
   // Build a label from whatever we have (city/country or coords)
   const locationLabel = useMemo(() => {
@@ -66,6 +122,169 @@ export default function App() {
     return "Locating…";
   }, [locationInfo]);
 
+  // One swipeable page per location: where you are (GPS or a picked place), then saved ones
+  const pages = useMemo(
+    () => [
+      {
+        id: CURRENT_PAGE,
+        name: locationLabel,
+        lat,
+        lon,
+        city,
+        alerts: settings.currentLocationAlerts !== false,
+        status,
+        error,
+        current,
+        forecast,
+        daily,
+        isStale,
+        provider,
+        savedAt: dataSavedAt,
+      },
+      ...saved.places.map((p) => ({
+        id: p.id,
+        name: p.name,
+        lat: p.lat,
+        lon: p.lon,
+        city: p.city,
+        alerts: !!p.alerts,
+        status: "loading",
+        forecast: [],
+        daily: [],
+        ...saved.weather[p.id],
+      })),
+    ],
+    [
+      locationLabel,
+      lat,
+      lon,
+      city,
+      settings.currentLocationAlerts,
+      status,
+      error,
+      current,
+      forecast,
+      daily,
+      isStale,
+      provider,
+      dataSavedAt,
+      saved.places,
+      saved.weather,
+    ]
+  );
+  const [pageIndex, setPageIndex] = useState(0);
+  const page = pages[Math.min(pageIndex, pages.length - 1)];
+
+  const pagerRef = useRef(null);
+  const { width: windowWidth } = useWindowDimensions();
+  const pageWidth = windowWidth - 32; // content padding
+  const goToPage = useCallback(
+    (index) => {
+      setPageIndex(index);
+      pagerRef.current?.scrollTo({ x: index * (pageWidth + PAGE_GAP), animated: true });
+    },
+    [pageWidth]
+  );
+
+  /** A saved location's page for these coordinates, else the current-location page (switched there) */
+  const showPlace = useCallback(
+    ({ lat: placeLat, lon: placeLon, city: placeCity = null, country = null }) => {
+      const key = cacheKeyFor(placeLat, placeLon);
+      const index = saved.places.findIndex((p) => cacheKeyFor(p.lat, p.lon) === key);
+      if (index >= 0) return goToPage(index + 1);
+      goToPage(0);
+      if (lat == null || key !== cacheKeyFor(lat, lon)) {
+        refreshWithCoords({ lat: placeLat, lon: placeLon, city: placeCity, country });
+      }
+    },
+    [saved.places, goToPage, lat, lon, refreshWithCoords]
+  );
+
+  const toggleAlerts = useCallback(
+    (target) => {
+      if (target.id !== CURRENT_PAGE) return saved.setAlerts(target.id, !target.alerts);
+      updateSettings({ currentLocationAlerts: !target.alerts })
+        .then(() => updateAlertsForPlace({ lat: target.lat, lon: target.lon }, target.forecast))
+        .catch((e) => console.warn("Location alerts:", e?.message));
+    },
+    [saved, updateSettings]
+  );
+
+  // weatheralert://forecast links (and notification taps, which carry one):
+  // switch to that place and highlight the hour
+  const [highlightTime, setHighlightTime] = useState(null);
+  const openLink = useCallback(
+    (url) => {
+      const link = parseForecastLink(url);
+      if (!link) return;
+      setHighlightTime(link.time);
+      showPlace(link);
+    },
+    [showPlace]
+  );
+  // Links are handled once each, with the latest openLink, not again whenever it changes
+  const openLinkRef = useRef(openLink);
+  useEffect(() => {
+    openLinkRef.current = openLink;
+  }, [openLink]);
+
+  useEffect(() => {
+    Linking.getInitialURL()
+      .then((url) => openLinkRef.current(url))
+      .catch(() => {});
+    const sub = Linking.addEventListener("url", ({ url }) => openLinkRef.current(url));
+    return () => sub.remove();
+  }, []);
+
+  const lastResponse = Notifications.useLastNotificationResponse();
+  useEffect(() => {
+    const action = lastResponse?.actionIdentifier;
+    if (action !== Notifications.DEFAULT_ACTION_IDENTIFIER && action !== ALERT_ACTIONS.open) return;
+    openLinkRef.current(lastResponse.notification.request.content.data?.url);
+  }, [lastResponse]);
+
+  // Last background run, re-read whenever fresh data lands
+  const [bgRun, setBgRun] = useState(null);
+  useEffect(() => {
+    getLastBackgroundRun().then(setBgRun);
+  }, [dataSavedAt]);
+
+  // About the page on screen; "refreshing" only tracks the current location
+  const headerSubtitle = useMemo(() => {
+    if (page.status === "done" && page.savedAt) {
+      let updated = `Updated ${dayjs(page.savedAt).fromNow()}`;
+      if (page.provider) updated += ` · via ${page.provider}`;
+      return refreshing && page.id === CURRENT_PAGE ? `${updated} · refreshing…` : updated;
+    }
+    if (page.status === "loading") return "Fetching your local weather…";
+    return "Weather alerts an hour ahead";
+  }, [page.id, page.status, page.savedAt, page.provider, refreshing]);
+
+  // Cached/offline data can be hours old: drop slots and days already in the past.
+  // Every refresh yields a new page object, which moves "now" along.
+  const { visibleForecast, visibleDaily } = useMemo(() => {
+    const now = dayjs();
+    const today = now.format("YYYY-MM-DD");
+    return {
+      visibleForecast: upcomingSlots(page.forecast, now),
+      visibleDaily: (page.daily ?? []).filter((d) => d.date >= today),
+    };
+  }, [page]);
+
+  const episodes = useMemo(
+    () => findBadWeatherEpisodes(visibleForecast, rules),
+    [visibleForecast, rules]
+  );
+
+  const maxRain = useMemo(
+    () =>
+      Math.max(
+        0,
+        ...visibleForecast.map((f) => (Number.isFinite(f.precipMM) ? f.precipMM : 0))
+      ),
+    [visibleForecast]
+  );
+
   return (
     <SafeAreaProvider>
       <LinearGradient
@@ -80,6 +299,13 @@ export default function App() {
             <View style={styles.titleWrap}>
               <MaterialCommunityIcons name="weather-cloudy-clock" size={28} style={styles.titleIcon} />
               <Text style={styles.h1}>Weather Alert</Text>
+              <TouchableOpacity
+                style={styles.headerBtn}
+                onPress={() => setRulesOpen(true)}
+                accessibilityLabel="Alert rules"
+              >
+                <MaterialCommunityIcons name="tune-variant" size={22} style={styles.headerBtnIcon} />
+              </TouchableOpacity>
             </View>
 
             {/* LOCATION (tappable) */}
@@ -94,49 +320,121 @@ export default function App() {
             </TouchableOpacity>
 
             <Text style={styles.sub}>{headerSubtitle}</Text>
-          </View>
 
-          <View style={styles.content}>
-            {status === "loading" && (
-              <View style={styles.centerCard}>
-                <ActivityIndicator />
-                <Text style={styles.muted}>Loading weather…</Text>
-              </View>
-            )}
+            {/* Activity profile switcher */}
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.profiles}
+            >
+              {PROFILES.map((p) => {
+                const active = p.id === profile.id;
+                return (
+                  <TouchableOpacity
+                    key={p.id}
+                    style={[styles.profileChip, active && styles.profileChipActive]}
+                    onPress={() => updateSettings({ activeProfile: p.id })}
+                    activeOpacity={0.85}
+                  >
+                    <MaterialCommunityIcons
+                      name={p.icon}
+                      size={16}
+                      style={active ? styles.profileIconActive : styles.profileIcon}
+                    />
+                    <Text style={[styles.profileText, active && styles.profileTextActive]}>{p.label}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          </View>
 
-            {status === "error" && (
-              <View style={[styles.centerCard, styles.errorCard]}>
-                <MaterialCommunityIcons name="alert-circle-outline" size={20} style={styles.errorIcon} />
-                <Text style={styles.errorText}>Error: {error}</Text>
-                <Text style={styles.mutedSmall}>
-                  Check your internet connection and Meteomatics credentials.
-                </Text>
+          <ScrollView
+            style={{ flex: 1 }}
+            contentContainerStyle={styles.content}
+            showsVerticalScrollIndicator={false}
+          >
+            {/* Current conditions, one card per location (swipe between them) */}
+            <ScrollView
+              ref={pagerRef}
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              snapToInterval={pageWidth + PAGE_GAP}
+              decelerationRate="fast"
+              contentContainerStyle={{ gap: PAGE_GAP }}
+              onMomentumScrollEnd={(e) =>
+                setPageIndex(Math.round(e.nativeEvent.contentOffset.x / (pageWidth + PAGE_GAP)))
+              }
+            >
+              {pages.map((p) => (
+                <PlacePage
+                  key={p.id}
+                  page={p}
+                  width={pageWidth}
+                  rules={rules}
+                  onToggleAlerts={() => toggleAlerts(p)}
+                />
+              ))}
+            </ScrollView>
+            {pages.length > 1 && (
+              <View style={styles.dots}>
+                {pages.map((p, idx) => (
+                  <View key={p.id} style={[styles.dot, idx === pageIndex && styles.dotActive]} />
+                ))}
               </View>
             )}
 
-            {status === "done" && (
+            {page.status === "done" && (
               <>
-                {/* Current conditions */}
-                <View style={styles.block}>
-                  <WeatherCard current={current} />
-                </View>
+                {page.isStale && (
+                  <View style={styles.staleBanner}>
+                    <MaterialCommunityIcons
+                      name={page.error ? "cloud-off-outline" : "history"}
+                      size={18}
+                      style={styles.staleIcon}
+                    />
+                    <Text style={styles.staleText}>
+                      {page.error ? "Offline" : "Updating"} — showing data from{" "}
+                      {page.savedAt ? dayjs(page.savedAt).fromNow() : "earlier"}
+                    </Text>
+                  </View>
+                )}
+
+                {episodes.length > 0 && <EpisodeBanner episode={episodes[0]} />}
 
                 {/* Forecast list */}
                 <Text style={styles.h2}>Next hours</Text>
                 <View style={styles.listCard}>
-                  <FlatList
-                    data={forecast}
-                    keyExtractor={(item) => item.time}
-                    ItemSeparatorComponent={() => <View style={styles.sep} />}
-                    contentContainerStyle={{ paddingVertical: 6 }}
-                    initialNumToRender={12}
-                    windowSize={8}
-                    removeClippedSubviews
-                    renderItem={({ item }) => <ForecastRow item={item} maxRain={maxRain} />}
-                    showsVerticalScrollIndicator={false}
-                  />
+                  {visibleForecast.length === 0 && (
+                    <Text style={[styles.muted, styles.emptyList]}>No upcoming hours in saved data.</Text>
+                  )}
+                  {visibleForecast.map((item, idx) => (
+                    <React.Fragment key={item.time}>
+                      {idx > 0 && <View style={styles.sep} />}
+                      <ForecastRow
+                        item={item}
+                        maxRain={maxRain}
+                        assess={assessSlot(item, rules, visibleForecast)}
+                        highlighted={isSameHour(item.time, highlightTime)}
+                      />
+                    </React.Fragment>
+                  ))}
                 </View>
 
+                {/* Daily outlook */}
+                {visibleDaily.length > 0 && (
+                  <>
+                    <Text style={styles.h2}>Next days</Text>
+                    <View style={styles.listCard}>
+                      {visibleDaily.map((day, idx) => (
+                        <React.Fragment key={day.date}>
+                          {idx > 0 && <View style={styles.sep} />}
+                          <DailyRow day={day} />
+                        </React.Fragment>
+                      ))}
+                    </View>
+                  </>
+                )}
+
                 <View style={styles.infoBar}>
                   <MaterialCommunityIcons
                     name="bell-alert"
@@ -144,27 +442,61 @@ export default function App() {
                     style={{ marginRight: 8, color: "#ffd89a" }}
                   />
                   <Text style={styles.infoText}>
-                    We’ll notify you <Text style={styles.bold}>1 hour before</Text>{" "}
-                    the next bad weather window (rain, strong wind, very hot/cold).
+                    We’ll notify you{" "}
+                    <Text style={styles.bold}>{describeLeadTimes(leadTimes)} before</Text> each bad
+                    weather window (right away if it’s sooner)
+                    {alertLabels.length ? ` (${alertLabels.join(", ")})` : " (no alert rules enabled)"}.
+                    {"\n"}
+                    <Text style={styles.infoMuted}>
+                      {bgRun
+                        ? `Background check ${bgRun.ok ? "ran" : "failed"} ${dayjs(bgRun.at).fromNow()}` +
+                          (bgRun.ok ? "" : ` (${bgRun.error})`)
+                        : "Background check hasn’t run yet"}
+                    </Text>
                   </Text>
                 </View>
               </>
             )}
-          </View>
+          </ScrollView>
         </SafeAreaView>
 
+        <RulesSettings
+          visible={rulesOpen}
+          title={`Alert rules · ${profile.label}`}
+          rules={rules}
+          defaultRules={profile.rules}
+          onChange={(next) =>
+            updateSettings((s) => ({ rulesByProfile: { ...s.rulesByProfile, [profile.id]: next } }))
+          }
+          leadTimes={leadTimes}
+          onLeadTimesChange={(leadTimesMin) => updateSettings({ leadTimesMin })}
+          quietHours={settings.quietHours}
+          onQuietHoursChange={(quietHours) => updateSettings({ quietHours })}
+          minPushSeverity={settings.minPushSeverity}
+          onMinPushSeverityChange={(minPushSeverity) => updateSettings({ minPushSeverity })}
+          briefing={settings.briefing}
+          onBriefingChange={(briefing) => updateSettings({ briefing })}
+          allClear={settings.allClear}
+          onAllClearChange={(allClear) => updateSettings({ allClear })}
+          onClose={() => setRulesOpen(false)}
+        />
+
         {/* Place Picker Modal */}
         <PlacePicker
           visible={pickerOpen}
-          onClose={() => setPickerOpen(false)}
+          onClose={() => {
+            setPickerOpen(false);
+            saved.reload(); // favourites may have been added, renamed or removed
+          }}
           onSelect={(place) => {
-            // place: { label, lat, lon, city, country }
-            refreshWithCoords({
+            // place: { label, lat, lon, city, country, name? } (name = favourite's custom name)
+            showPlace({
               lat: place.lat,
               lon: place.lon,
-              city: place.city || place.label,
+              city: place.name || place.city || place.label,
               country: place.country || null,
             });
+            setHighlightTime(null);
             setPickerOpen(false);
           }}
         />
@@ -173,30 +505,108 @@ export default function App() {
   );
 }
 
+/* ---------- One location's card in the pager ---------- */
+function PlacePage({ page, width, rules, onToggleAlerts }) {
+  const isCurrent = page.id === CURRENT_PAGE;
+  const now = currentSlot(page);
+  return (
+    <View style={{ width, gap: 8 }}>
+      <View style={styles.pageHeader}>
+        <MaterialCommunityIcons
+          name={isCurrent ? "crosshairs-gps" : "map-marker-star"}
+          size={16}
+          style={styles.locIcon}
+        />
+        <Text style={styles.pageTitle} numberOfLines={1}>
+          {page.name}
+        </Text>
+        <TouchableOpacity
+          style={styles.pageBell}
+          onPress={onToggleAlerts}
+          accessibilityLabel={`${page.alerts ? "Turn off" : "Turn on"} alerts for ${page.name}`}
+        >
+          <MaterialCommunityIcons
+            name={page.alerts ? "bell-ring-outline" : "bell-off-outline"}
+            size={18}
+            style={page.alerts ? styles.pageBellOn : styles.pageBellOff}
+          />
+        </TouchableOpacity>
+      </View>
+
+      {page.status === "error" ? (
+        <View style={[styles.centerCard, styles.errorCard]}>
+          <MaterialCommunityIcons name="alert-circle-outline" size={20} style={styles.errorIcon} />
+          <Text style={styles.errorText}>Error: {page.error}</Text>
+          <Text style={styles.mutedSmall}>
+            No weather provider responded. Check your internet connection.
+          </Text>
+        </View>
+      ) : page.status === "done" && now ? (
+        <View style={styles.block}>
+          <WeatherCard current={now} forecast={upcomingSlots(page.forecast)} rules={rules} />
+        </View>
+      ) : (
+        <View style={styles.centerCard}>
+          <ActivityIndicator />
+          <Text style={styles.muted}>Loading weather…</Text>
+        </View>
+      )}
+    </View>
+  );
+}
+
+/* ---------- Next bad-weather episode ---------- */
+function EpisodeBanner({ episode }) {
+  const severity = SEVERITIES[episode.severity];
+  const tint = (alpha) => severityTint(episode.severity, alpha);
+  return (
+    <View style={[styles.episodeBanner, { backgroundColor: tint(0.12), borderColor: tint(0.3) }]}>
+      <MaterialCommunityIcons name={severity.icon} size={20} style={[styles.episodeIcon, { color: tint(1) }]} />
+      <View style={{ flex: 1 }}>
+        <Text style={[styles.episodeTitle, { color: severity.text }]}>
+          {severity.label}: {describeEpisode(episode)}
+        </Text>
+        {!!episode.advice && <Text style={styles.episodeText}>{episode.advice}</Text>}
+      </View>
+    </View>
+  );
+}
+
 /* ---------- Pretty forecast row with rain bars ---------- */
-function ForecastRow({ item, maxRain = 1 }) {
+const isSameHour = (a, b) =>
+  !!a && !!b && Math.floor(Date.parse(a) / 3600000) === Math.floor(Date.parse(b) / 3600000);
+
+function ForecastRow({ item, maxRain = 1, assess, highlighted = false }) {
   const temp = Math.round(item.tempC);
   const rain = Number(item.precipMM ?? 0);
   const windKmh = Math.round((item.windMS || 0) * 3.6);
 
+  const gustKmh = Math.round((item.gustMS || 0) * 3.6);
+
   const chips = [];
+  const severity = assess?.isBad ? assess.severity : null;
+  if (severity) chips.push({ icon: SEVERITIES[severity].icon, label: assess.reasons.join(", "), bad: true });
   if (windKmh >= 25) chips.push({ icon: "weather-windy", label: `${windKmh} km/h` });
+  if (gustKmh >= 40) chips.push({ icon: "weather-windy-variant", label: `Gusts ${gustKmh} km/h` });
+  if (item.iceRisk) chips.push({ icon: "snowflake-alert", label: "Ice risk" });
+  if (item.snowCM > 0) chips.push({ icon: "snowflake", label: `${item.snowCM.toFixed(1)} cm snow` });
+  if (item.uvIndex >= 6) chips.push({ icon: "weather-sunny-alert", label: `UV ${Math.round(item.uvIndex)}` });
+  if (Number.isFinite(item.visibilityM) && item.visibilityM < 1000) {
+    chips.push({ icon: "weather-fog", label: `Vis ${Math.round(item.visibilityM)} m` });
+  }
 
-  const iconName =
-    rain >= 2
-      ? "weather-pouring"
-      : rain >= 0.2
-      ? "weather-rainy"
-      : temp <= 3
-      ? "snowflake"
-      : temp >= 30
-      ? "white-balance-sunny"
-      : "weather-partly-cloudy";
+  const { icon: iconName } = describeWeather(item);
 
   const pct = Math.min(100, Math.round((rain / Math.max(maxRain, 0.1)) * 100));
 
   return (
-    <View style={rowStyles.row}>
+    <View
+      style={[
+        rowStyles.row,
+        severity && [rowStyles.badRow, { borderColor: severityTint(severity, 0.35) }],
+        highlighted && rowStyles.highlightRow,
+      ]}
+    >
       {/* left: time + icon */}
       <View style={rowStyles.left}>
         <MaterialCommunityIcons name={iconName} size={22} style={rowStyles.rowIcon} />
@@ -209,7 +619,7 @@ function ForecastRow({ item, maxRain = 1 }) {
       {/* right: rain bar + value + chips */}
       <View style={rowStyles.right}>
         <View style={rowStyles.rainTop}>
-          <Text style={rowStyles.rainLabel}>Rain</Text>
+          <Text style={rowStyles.rainLabel}>{PRECIP_TYPES[item.precipType]?.label ?? "Rain"}</Text>
           <Text style={rowStyles.rainValue}>{rain.toFixed(1)} mm</Text>
         </View>
 
@@ -219,9 +629,19 @@ function ForecastRow({ item, maxRain = 1 }) {
 
         <View style={rowStyles.chipsWrap}>
           {chips.map((c, idx) => (
-            <View key={idx} style={rowStyles.chip}>
-              <MaterialCommunityIcons name={c.icon} size={14} style={rowStyles.chipIcon} />
-              <Text style={rowStyles.chipText}>{c.label}</Text>
+            <View
+              key={idx}
+              style={[
+                rowStyles.chip,
+                c.bad && { backgroundColor: severityTint(severity, 0.12), borderColor: severityTint(severity, 0.3) },
+              ]}
+            >
+              <MaterialCommunityIcons
+                name={c.icon}
+                size={14}
+                style={c.bad ? { color: severityTint(severity, 1) } : rowStyles.chipIcon}
+              />
+              <Text style={[rowStyles.chipText, c.bad && { color: SEVERITIES[severity].text }]}>{c.label}</Text>
             </View>
           ))}
         </View>
@@ -230,6 +650,44 @@ function ForecastRow({ item, maxRain = 1 }) {
   );
 }
 
+/* ---------- Daily outlook row ---------- */
+function DailyRow({ day }) {
+  const d = dayjs(day.date);
+  const isToday = d.isSame(dayjs(), "day");
+  const rain = Number(day.precipMM ?? 0);
+  const minC = Number.isFinite(day.minC) ? Math.round(day.minC) : "–";
+  const maxC = Number.isFinite(day.maxC) ? Math.round(day.maxC) : "–";
+  const windKmh = Math.round(Math.max(day.windMaxMS || 0, day.gustMaxMS || 0) * 3.6);
+
+  const { icon: iconName } = describeWeather({ symbol: day.symbol, tempC: day.maxC });
+
+  return (
+    <View style={rowStyles.row}>
+      <View style={rowStyles.left}>
+        <MaterialCommunityIcons name={iconName} size={22} style={rowStyles.rowIcon} />
+        <Text style={rowStyles.time}>{isToday ? "Today" : d.format("ddd D")}</Text>
+      </View>
+
+      <Text style={rowStyles.dayTemp}>
+        {maxC}° <Text style={rowStyles.dayTempMin}>{minC}°</Text>
+      </Text>
+
+      <View style={[rowStyles.right, rowStyles.dayRight]}>
+        <View style={rowStyles.chip}>
+          <MaterialCommunityIcons name="umbrella-outline" size={14} style={rowStyles.chipIcon} />
+          <Text style={rowStyles.chipText}>{rain.toFixed(1)} mm</Text>
+        </View>
+        {windKmh >= 25 && (
+          <View style={rowStyles.chip}>
+            <MaterialCommunityIcons name="weather-windy" size={14} style={rowStyles.chipIcon} />
+            <Text style={rowStyles.chipText}>{windKmh} km/h</Text>
+          </View>
+        )}
+      </View>
+    </View>
+  );
+}
+
 /* ---------- Styles ---------- */
 const styles = StyleSheet.create({
   header: {
@@ -239,7 +697,13 @@ const styles = StyleSheet.create({
   },
   titleWrap: { flexDirection: "row", alignItems: "center", gap: 8 },
   titleIcon: { color: "#9cc3ff" },
-  h1: { color: "#eaf0ff", fontSize: 28, fontWeight: "800", letterSpacing: 0.3 },
+  h1: { color: "#eaf0ff", fontSize: 28, fontWeight: "800", letterSpacing: 0.3, flex: 1 },
+  headerBtn: {
+    padding: 8,
+    borderRadius: 999,
+    backgroundColor: "rgba(156,195,255,0.12)",
+  },
+  headerBtnIcon: { color: "#cfe0ff" },
 
   // Location pill
   locPill: {
@@ -260,9 +724,36 @@ const styles = StyleSheet.create({
 
   sub: { color: "#98a2b3", marginTop: 4 },
 
-  content: { paddingHorizontal: 16, gap: 14, flex: 1 },
+  profiles: { gap: 8, paddingTop: 10 },
+  profileChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 999,
+    backgroundColor: "rgba(255,255,255,0.05)",
+    borderWidth: 1,
+    borderColor: "rgba(255,255,255,0.08)",
+  },
+  profileChipActive: { backgroundColor: "rgba(156,195,255,0.18)", borderColor: "rgba(156,195,255,0.4)" },
+  profileIcon: { color: "#93a1bd" },
+  profileIconActive: { color: "#dbe7ff" },
+  profileText: { color: "#aab6c6", fontWeight: "700", fontSize: 12 },
+  profileTextActive: { color: "#eaf0ff" },
+
+  content: { paddingHorizontal: 16, paddingBottom: 24, gap: 14 },
   block: { borderRadius: 18, overflow: "hidden" },
 
+  pageHeader: { flexDirection: "row", alignItems: "center", gap: 6, paddingHorizontal: 4 },
+  pageTitle: { flex: 1, color: "#e8ecf8", fontWeight: "700" },
+  pageBell: { padding: 4 },
+  pageBellOn: { color: "#ffd89a" },
+  pageBellOff: { color: "#6f7a8c" },
+  dots: { flexDirection: "row", justifyContent: "center", gap: 6, marginTop: -6 },
+  dot: { width: 6, height: 6, borderRadius: 3, backgroundColor: "rgba(255,255,255,0.2)" },
+  dotActive: { backgroundColor: "#9ecbff" },
+
   centerCard: {
     backgroundColor: "rgba(255,255,255,0.06)",
     borderRadius: 16,
@@ -284,12 +775,39 @@ const styles = StyleSheet.create({
     backgroundColor: "rgba(18,22,32,0.75)",
     borderRadius: 16,
     paddingHorizontal: 8,
+    paddingVertical: 6,
     ...elevate(6),
     borderWidth: 1,
     borderColor: "rgba(255,255,255,0.06)",
   },
 
   sep: { height: 8 },
+  emptyList: { textAlign: "center", paddingVertical: 12 },
+
+  staleBanner: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    padding: 10,
+    borderRadius: 12,
+    backgroundColor: "rgba(255,190,90,0.10)",
+    borderWidth: 1,
+    borderColor: "rgba(255,190,90,0.25)",
+  },
+  staleIcon: { color: "#ffcf8a" },
+  staleText: { color: "#ffe6c2", fontWeight: "700", flex: 1 },
+
+  episodeBanner: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: 10,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  episodeIcon: { marginTop: 1 },
+  episodeTitle: { fontWeight: "800" },
+  episodeText: { color: "#f3d9c6", marginTop: 2, lineHeight: 18 },
 
   infoBar: {
     flexDirection: "row",
@@ -300,6 +818,7 @@ const styles = StyleSheet.create({
     backgroundColor: "rgba(255,215,130,0.08)",
   },
   infoText: { color: "#e9edf5", flex: 1, lineHeight: 18 },
+  infoMuted: { color: "#9aa3b5", fontSize: 12 },
   bold: { fontWeight: "800" },
 });
 
@@ -317,8 +836,11 @@ const rowStyles = StyleSheet.create({
   time: { color: "#e6ebf7", fontWeight: "700", letterSpacing: 0.4 },
 
   temp: { color: "#e6ebf7", fontWeight: "800", width: 60, textAlign: "center" },
+  dayTemp: { color: "#e6ebf7", fontWeight: "800", width: 72, textAlign: "center" },
+  dayTempMin: { color: "#8fa0b8", fontWeight: "700" },
 
   right: { flex: 1, marginLeft: 8 },
+  dayRight: { flexDirection: "row", flexWrap: "wrap", gap: 6, justifyContent: "flex-end" },
 
   rainTop: { flexDirection: "row", justifyContent: "space-between", alignItems: "center", marginBottom: 6 },
   rainLabel: { color: "#aab6c6", fontSize: 12, fontWeight: "600" },
@@ -351,6 +873,9 @@ const rowStyles = StyleSheet.create({
   chipIcon: { color: "#b8d2ff" },
   chipText: { color: "#dbe7ff", fontSize: 12, fontWeight: "600" },
 
+  badRow: { borderWidth: 1 },
+  highlightRow: { borderWidth: 1, borderColor: "#9ecbff", backgroundColor: "rgba(158,203,255,0.12)" },
+
   okChip: {
     color: "#b7f5c9",
     backgroundColor: "rgba(80,200,120,0.15)",
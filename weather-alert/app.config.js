@@ -1,5 +1,18 @@
 import 'dotenv/config';
 
+// With a proxy (see ../weather-proxy) credentials stay server-side.
+// Without one we fall back to direct mode, which embeds them in the bundle: dev only.
+const WEATHER_PROXY_URL = process.env.WEATHER_PROXY_URL;
+// Must match the proxy's PROXY_TOKEN. It ships in every app bundle, so it only
+// slows down casual abuse of the proxy; it doesn't authenticate anyone
+const WEATHER_PROXY_TOKEN = process.env.WEATHER_PROXY_TOKEN;
+const directCredentials = WEATHER_PROXY_URL
+  ? {}
+  : {
+      METEOMATICS_USERNAME: process.env.METEOMATICS_USERNAME,
+      METEOMATICS_PASSWORD: process.env.METEOMATICS_PASSWORD
+    };
+
 export default {
   expo: {
     name: "Weather Alert",
@@ -11,7 +24,8 @@ export default {
       infoPlist: {
         NSLocationWhenInUseUsageDescription: "We use your location to show local weather and alerts.",
         NSLocationAlwaysAndWhenInUseUsageDescription: "We use your location to schedule local weather alerts.",
-        NSLocationAlwaysUsageDescription: "We use your location to schedule local weather alerts."
+        NSLocationAlwaysUsageDescription: "We use your location to schedule local weather alerts.",
+        UIBackgroundModes: ["fetch"]
       }
     },
     android: {
@@ -22,8 +36,9 @@ export default {
       ]
     },
     extra: {
-      METEOMATICS_USERNAME: process.env.METEOMATICS_USERNAME,
-      METEOMATICS_PASSWORD: process.env.METEOMATICS_PASSWORD
+      WEATHER_PROXY_URL,
+      WEATHER_PROXY_TOKEN,
+      ...directCredentials
     },
     plugins: [["expo-notifications"]]
   }
@@ -1,11 +1,12 @@
 // src/components/PlacePicker.js
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   Modal,
   View,
   Text,
   TextInput,
   FlatList,
+  SectionList,
   TouchableOpacity,
   ActivityIndicator,
   StyleSheet,
@@ -13,15 +14,60 @@ import {
 } from "react-native";
 import { MaterialCommunityIcons } from "@expo/vector-icons";
 import { searchPlaces } from "../services/geocode";
+import {
+  loadSavedPlaces,
+  addRecent,
+  removeRecent,
+  toggleFavourite,
+  renameFavourite,
+  moveFavourite,
+  removeFavourite,
+  placeId,
+} from "../services/places";
 
 export default function PlacePicker({ visible, onClose, onSelect }) {
   const [q, setQ] = useState("");
   const [loading, setLoading] = useState(false);
   const [results, setResults] = useState([]);
   const [error, setError] = useState(null);
+  const [recents, setRecents] = useState([]);
+  const [favourites, setFavourites] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
 
   const debRef = useRef(null);
   const abortRef = useRef(null);
+  const latestRef = useRef(null); // controller of the most recent search
+
+  // Saved places are shown whenever the query is empty
+  useEffect(() => {
+    if (!visible) return;
+    loadSavedPlaces().then(({ recents, favourites }) => {
+      setRecents(recents);
+      setFavourites(favourites);
+    });
+  }, [visible]);
+
+  const favouriteIds = useMemo(() => new Set(favourites.map((f) => f.id)), [favourites]);
+
+  const choose = useCallback(
+    (place) => {
+      addRecent(place).then(setRecents);
+      onSelect?.(place); // {label, lat, lon, city, country, name?}
+      onClose?.();
+    },
+    [onSelect, onClose]
+  );
+
+  const onToggleFavourite = useCallback((place) => {
+    toggleFavourite(place).then(setFavourites);
+  }, []);
+
+  const commitRename = useCallback(() => {
+    if (!editingId) return;
+    renameFavourite(editingId, editName).then(setFavourites);
+    setEditingId(null);
+  }, [editingId, editName]);
 
   // Reset state when opening/closing
   useEffect(() => {
@@ -30,6 +76,7 @@ export default function PlacePicker({ visible, onClose, onSelect }) {
       setResults([]);
       setLoading(false);
       setError(null);
+      setEditingId(null);
       // cancel any inflight
       if (abortRef.current) {
         abortRef.current.abort();
@@ -62,13 +109,22 @@ export default function PlacePicker({ visible, onClose, onSelect }) {
       setError(null);
       const controller = new AbortController();
       abortRef.current = controller;
+      latestRef.current = controller;
 
       try {
-        const items = await searchPlaces(query, controller.signal);
+        const items = await searchPlaces(query, controller.signal, {
+          // Coordinates get a place name once the background lookup returns
+          onUpdate: (updated) => {
+            if (latestRef.current === controller && !controller.signal.aborted) setResults(updated);
+          },
+        });
         setResults(items);
       } catch (e) {
         if (e.name === "AbortError") {
           // Swallow aborts (user kept typing)
+        } else if (e.name === "InvalidCoordinatesError") {
+          setResults([]);
+          setError(e.message);
         } else {
           setError("Search failed. Check your connection.");
         }
@@ -98,7 +154,7 @@ export default function PlacePicker({ visible, onClose, onSelect }) {
             <MaterialCommunityIcons name="magnify" size={18} style={s.searchIcon} />
             <TextInput
               style={s.input}
-              placeholder="City, country… (e.g., Dublin, Ireland)"
+              placeholder="City, country or coordinates (e.g., 53.35, -6.26)"
               placeholderTextColor="#8b93a7"
               value={q}
               onChangeText={setQ}
@@ -128,39 +184,119 @@ export default function PlacePicker({ visible, onClose, onSelect }) {
             </View>
           )}
 
-          <FlatList
-            data={results}
-            keyExtractor={(item, idx) => `${item.lat},${item.lon}:${idx}`}
-            keyboardShouldPersistTaps="handled"
-            renderItem={({ item }) => (
-              <TouchableOpacity
-                style={s.row}
-                onPress={() => {
-                  onSelect?.(item); // {label, lat, lon, city, country}
-                  onClose?.();
-                }}
-              >
-                <MaterialCommunityIcons name="map-marker" size={20} style={s.rowIcon} />
-                <View style={{ flex: 1 }}>
-                  <Text style={s.rowTitle} numberOfLines={1}>
-                    {item.label}
-                  </Text>
-                  <Text style={s.rowSub} numberOfLines={1}>
-                    {item.city ? `${item.city}` : ""}{item.city && item.country ? ", " : ""}{item.country || ""}
-                  </Text>
-                </View>
-              </TouchableOpacity>
-            )}
-            ItemSeparatorComponent={() => <View style={{ height: 8 }} />}
-            ListEmptyComponent={
-              !loading && !error && q ? (
+          {!q.trim() ? (
+            <SectionList
+              sections={[
+                { key: "favourites", title: "Favourites", data: favourites },
+                { key: "recents", title: "Recent", data: recents },
+              ].filter((sec) => sec.data.length)}
+              keyExtractor={(item, idx) => `${item.id}:${idx}`}
+              keyboardShouldPersistTaps="handled"
+              stickySectionHeadersEnabled={false}
+              renderSectionHeader={({ section }) => <Text style={s.sectionTitle}>{section.title}</Text>}
+              renderItem={({ item, index, section }) =>
+                section.key === "favourites" ? (
+                  editingId === item.id ? (
+                    <View style={s.row}>
+                      <MaterialCommunityIcons name="pencil" size={20} style={s.rowIcon} />
+                      <TextInput
+                        style={[s.input, s.renameInput]}
+                        value={editName}
+                        onChangeText={setEditName}
+                        onSubmitEditing={commitRename}
+                        onBlur={commitRename}
+                        autoFocus
+                        returnKeyType="done"
+                        placeholder="Name (e.g., Home)"
+                        placeholderTextColor="#8b93a7"
+                      />
+                    </View>
+                  ) : (
+                    <PlaceRow
+                      title={item.name || item.label}
+                      subtitle={item.label}
+                      icon="star"
+                      iconStyle={s.starOn}
+                      onPress={() => choose(item)}
+                      actions={[
+                        {
+                          icon: "pencil-outline",
+                          onPress: () => {
+                            setEditingId(item.id);
+                            setEditName(item.name || "");
+                          },
+                        },
+                        index > 0 && {
+                          icon: "chevron-up",
+                          onPress: () => moveFavourite(item.id, -1).then(setFavourites),
+                        },
+                        index < section.data.length - 1 && {
+                          icon: "chevron-down",
+                          onPress: () => moveFavourite(item.id, 1).then(setFavourites),
+                        },
+                        { icon: "close", onPress: () => removeFavourite(item.id).then(setFavourites) },
+                      ]}
+                    />
+                  )
+                ) : (
+                  <PlaceRow
+                    title={item.label}
+                    subtitle={placeSubtitle(item)}
+                    icon="history"
+                    onPress={() => choose(item)}
+                    actions={[
+                      {
+                        icon: favouriteIds.has(item.id) ? "star" : "star-outline",
+                        style: favouriteIds.has(item.id) ? s.starOn : null,
+                        onPress: () => onToggleFavourite(item),
+                      },
+                      { icon: "close", onPress: () => removeRecent(item.id).then(setRecents) },
+                    ]}
+                  />
+                )
+              }
+              ItemSeparatorComponent={() => <View style={{ height: 8 }} />}
+              ListEmptyComponent={
                 <View style={s.empty}>
-                  <Text style={s.muted}>No results</Text>
+                  <Text style={s.muted}>Search for a place, then star it to keep it here.</Text>
                 </View>
-              ) : null
-            }
-            contentContainerStyle={{ paddingVertical: 8 }}
-          />
+              }
+              contentContainerStyle={{ paddingVertical: 8 }}
+            />
+          ) : (
+            <FlatList
+              data={results}
+              keyExtractor={(item, idx) => `${item.lat},${item.lon}:${idx}`}
+              keyboardShouldPersistTaps="handled"
+              renderItem={({ item }) => {
+                const starred = favouriteIds.has(placeId(item));
+                return (
+                  <PlaceRow
+                    title={item.label}
+                    subtitle={placeSubtitle(item)}
+                    icon="map-marker"
+                    onPress={() => choose(item)}
+                    actions={[
+                      {
+                        icon: starred ? "star" : "star-outline",
+                        style: starred ? s.starOn : null,
+                        onPress: () => onToggleFavourite(item),
+                      },
+                    ]}
+                  />
+                );
+              }}
+              ItemSeparatorComponent={() => <View style={{ height: 8 }} />}
+              ListEmptyComponent={
+                !loading && !error ? (
+                  <View style={s.empty}>
+                    <Text style={s.muted}>No results</Text>
+                  </View>
+                ) : null
+              }
+              contentContainerStyle={{ paddingVertical: 8 }}
+            />
+          )}
 
           <TouchableOpacity style={s.close} onPress={onClose}>
             <Text style={s.closeText}>Close</Text>
@@ -171,6 +307,32 @@ export default function PlacePicker({ visible, onClose, onSelect }) {
   );
 }
 
+const placeSubtitle = (item) =>
+  `${item.city ? `${item.city}` : ""}${item.city && item.country ? ", " : ""}${item.country || ""}`;
+
+function PlaceRow({ title, subtitle, icon, iconStyle, onPress, actions = [] }) {
+  return (
+    <TouchableOpacity style={s.row} onPress={onPress}>
+      <MaterialCommunityIcons name={icon} size={20} style={[s.rowIcon, iconStyle]} />
+      <View style={{ flex: 1 }}>
+        <Text style={s.rowTitle} numberOfLines={1}>
+          {title}
+        </Text>
+        {!!subtitle && (
+          <Text style={s.rowSub} numberOfLines={1}>
+            {subtitle}
+          </Text>
+        )}
+      </View>
+      {actions.filter(Boolean).map((a) => (
+        <TouchableOpacity key={a.icon} onPress={a.onPress} style={s.rowAction} hitSlop={6}>
+          <MaterialCommunityIcons name={a.icon} size={18} style={[s.rowActionIcon, a.style]} />
+        </TouchableOpacity>
+      ))}
+    </TouchableOpacity>
+  );
+}
+
 const s = StyleSheet.create({
   backdrop: { flex: 1, backgroundColor: "rgba(0,0,0,0.35)", justifyContent: "flex-end" },
   sheet: {
@@ -232,6 +394,20 @@ const s = StyleSheet.create({
   rowIcon: { color: "#9ecbff" },
   rowTitle: { color: "#eaf1ff", fontWeight: "700" },
   rowSub: { color: "#a9b3c8", marginTop: 2, fontSize: 12 },
+  rowAction: { padding: 4 },
+  rowActionIcon: { color: "#93a1bd" },
+  starOn: { color: "#ffd27a" },
+  renameInput: { paddingVertical: 4 },
+
+  sectionTitle: {
+    color: "#8fa0b8",
+    fontSize: 12,
+    fontWeight: "800",
+    letterSpacing: 0.6,
+    textTransform: "uppercase",
+    marginTop: 8,
+    marginBottom: 6,
+  },
 
   empty: { alignItems: "center", paddingVertical: 16 },
 
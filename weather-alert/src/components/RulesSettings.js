@@ -0,0 +1,517 @@
+// src/components/RulesSettings.js
+import React, { useEffect, useState } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  ScrollView,
+  Switch,
+  TouchableOpacity,
+  StyleSheet,
+  Platform,
+} from "react-native";
+import { MaterialCommunityIcons } from "@expo/vector-icons";
+import {
+  RULE_PARAMETERS,
+  COMPARATORS,
+  DEFAULT_RULES,
+  createRule,
+  describeRule,
+} from "../utils/alertRules";
+import { SEVERITIES, SEVERITY_LEVELS } from "../utils/severity";
+import { LEAD_TIME_OPTIONS, formatLeadTime } from "../utils/leadTimes";
+import { WEEKDAYS, DEFAULT_QUIET_HOURS, parseTimeOfDay } from "../utils/quietHours";
+import { DEFAULT_BRIEFING } from "../utils/briefing";
+
+export default function RulesSettings({
+  visible,
+  title = "Alert rules",
+  rules,
+  defaultRules = DEFAULT_RULES,
+  onChange,
+  minPushSeverity = "advisory",
+  onMinPushSeverityChange,
+  leadTimes = [],
+  onLeadTimesChange,
+  quietHours = DEFAULT_QUIET_HOURS,
+  onQuietHoursChange,
+  briefing = DEFAULT_BRIEFING,
+  onBriefingChange,
+  allClear = false,
+  onAllClearChange,
+  onClose,
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  useEffect(() => {
+    if (!visible) {
+      setEditingId(null);
+      setDraft(null);
+    }
+  }, [visible]);
+
+  const startEdit = (rule) => {
+    setEditingId(rule.id);
+    setDraft({ ...rule, threshold: String(rule.threshold), durationH: String(rule.durationH ?? 1) });
+  };
+
+  const saveDraft = () => {
+    const threshold = Number(String(draft.threshold).replace(",", "."));
+    const durationH = Math.max(1, Math.round(Number(draft.durationH) || 1));
+    if (!Number.isFinite(threshold)) return;
+    const rule = { ...draft, threshold, durationH, label: draft.label.trim() || "custom" };
+    const exists = rules.some((r) => r.id === rule.id);
+    onChange(exists ? rules.map((r) => (r.id === rule.id ? rule : r)) : [...rules, rule]);
+    setEditingId(null);
+    setDraft(null);
+  };
+
+  const addRule = () => {
+    const rule = createRule();
+    setEditingId(rule.id);
+    setDraft({ ...rule, threshold: String(rule.threshold), durationH: String(rule.durationH) });
+  };
+
+  const isNew = draft && !rules.some((r) => r.id === draft.id);
+  const visibleRules = isNew ? [...rules, draft] : rules;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={s.backdrop}>
+        <View style={s.sheet}>
+          <View style={s.header}>
+            <MaterialCommunityIcons name="tune-variant" size={22} style={s.headerIcon} />
+            <Text style={s.headerText}>{title}</Text>
+          </View>
+          <Text style={s.muted}>A forecast hour counts as bad weather when any enabled rule matches.</Text>
+
+          <ScrollView style={{ marginTop: 10 }} keyboardShouldPersistTaps="handled">
+            {onLeadTimesChange && (
+              <View style={[s.row, s.editor]}>
+                <Text style={s.fieldLabel}>Remind me before bad weather (pick one or more)</Text>
+                <View style={s.chips}>
+                  {LEAD_TIME_OPTIONS.map((min) => {
+                    const active = leadTimes.includes(min);
+                    return (
+                      <Chip
+                        key={min}
+                        label={formatLeadTime(min)}
+                        active={active}
+                        onPress={() => {
+                          const next = active ? leadTimes.filter((m) => m !== min) : [...leadTimes, min];
+                          if (next.length) onLeadTimesChange(next);
+                        }}
+                      />
+                    );
+                  })}
+                </View>
+              </View>
+            )}
+
+            {onMinPushSeverityChange && (
+              <View style={[s.row, s.editor]}>
+                <Text style={s.fieldLabel}>Send notifications for</Text>
+                <View style={s.chips}>
+                  {SEVERITY_LEVELS.map((level) => (
+                    <Chip
+                      key={level}
+                      label={`${SEVERITIES[level].label}${level === "severe" ? " only" : " and up"}`}
+                      active={minPushSeverity === level}
+                      onPress={() => onMinPushSeverityChange(level)}
+                    />
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {onQuietHoursChange && <QuietHoursEditor value={quietHours} onChange={onQuietHoursChange} />}
+
+            {onAllClearChange && (
+              <View style={[s.row, s.editor]}>
+                <View style={s.inline}>
+                  <Text style={[s.rowTitle, { flex: 1 }]}>All-clear notifications</Text>
+                  <Switch value={!!allClear} onValueChange={onAllClearChange} />
+                </View>
+                <Text style={s.rowSub}>
+                  Tell me when bad weather I was alerted about is over, or no longer expected.
+                </Text>
+              </View>
+            )}
+
+            {onBriefingChange && <BriefingEditor value={briefing} onChange={onBriefingChange} />}
+
+            {visibleRules.map((rule) =>
+              editingId === rule.id ? (
+                <RuleEditor
+                  key={rule.id}
+                  draft={draft}
+                  setDraft={setDraft}
+                  onSave={saveDraft}
+                  onCancel={() => {
+                    setEditingId(null);
+                    setDraft(null);
+                  }}
+                  onDelete={
+                    isNew
+                      ? null
+                      : () => {
+                          onChange(rules.filter((r) => r.id !== rule.id));
+                          setEditingId(null);
+                          setDraft(null);
+                        }
+                  }
+                />
+              ) : (
+                <TouchableOpacity key={rule.id} style={s.row} onPress={() => startEdit(rule)}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={[s.rowTitle, !rule.enabled && s.disabled]}>{rule.label}</Text>
+                    <Text style={s.rowSub}>
+                      {describeRule(rule)} · {SEVERITIES[rule.severity || "advisory"].label}
+                    </Text>
+                  </View>
+                  <Switch
+                    value={!!rule.enabled}
+                    onValueChange={(enabled) =>
+                      onChange(rules.map((r) => (r.id === rule.id ? { ...r, enabled } : r)))
+                    }
+                  />
+                </TouchableOpacity>
+              )
+            )}
+
+            <View style={s.actions}>
+              <TouchableOpacity style={s.btn} onPress={addRule} disabled={!!editingId}>
+                <MaterialCommunityIcons name="plus" size={16} style={s.btnIcon} />
+                <Text style={s.btnText}>Add rule</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={s.btn} onPress={() => onChange(defaultRules)}>
+                <MaterialCommunityIcons name="restore" size={16} style={s.btnIcon} />
+                <Text style={s.btnText}>Reset to defaults</Text>
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+
+          <TouchableOpacity style={s.close} onPress={onClose}>
+            <Text style={s.closeText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+function RuleEditor({ draft, setDraft, onSave, onCancel, onDelete }) {
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const unit = RULE_PARAMETERS[draft.param]?.unit;
+
+  return (
+    <View style={[s.row, s.editor]}>
+      <Text style={s.fieldLabel}>Name</Text>
+      <TextInput
+        style={s.input}
+        value={draft.label}
+        onChangeText={(label) => set({ label })}
+        placeholder="e.g. strong wind"
+        placeholderTextColor="#8b93a7"
+      />
+
+      <Text style={s.fieldLabel}>Parameter</Text>
+      <View style={s.chips}>
+        {Object.entries(RULE_PARAMETERS).map(([key, meta]) => (
+          <Chip key={key} label={meta.label} active={draft.param === key} onPress={() => set({ param: key })} />
+        ))}
+      </View>
+
+      <Text style={s.fieldLabel}>Condition</Text>
+      <View style={s.inline}>
+        <View style={s.chips}>
+          {Object.keys(COMPARATORS).map((c) => (
+            <Chip key={c} label={c} active={draft.comparator === c} onPress={() => set({ comparator: c })} />
+          ))}
+        </View>
+        <TextInput
+          style={[s.input, s.numberInput]}
+          value={draft.threshold}
+          onChangeText={(threshold) => set({ threshold })}
+          keyboardType="numbers-and-punctuation"
+        />
+        {!!unit && <Text style={s.unit}>{unit}</Text>}
+      </View>
+
+      <Text style={s.fieldLabel}>For at least (hours)</Text>
+      <TextInput
+        style={[s.input, s.numberInput]}
+        value={draft.durationH}
+        onChangeText={(durationH) => set({ durationH })}
+        keyboardType="number-pad"
+      />
+
+      <Text style={s.fieldLabel}>Severity (raised automatically when well past the threshold)</Text>
+      <View style={s.chips}>
+        {SEVERITY_LEVELS.map((level) => (
+          <Chip
+            key={level}
+            label={SEVERITIES[level].label}
+            active={(draft.severity || "advisory") === level}
+            onPress={() => set({ severity: level })}
+          />
+        ))}
+      </View>
+
+      <Text style={s.fieldLabel}>Advice</Text>
+      <TextInput
+        style={s.input}
+        value={draft.advice}
+        onChangeText={(advice) => set({ advice })}
+        placeholder="What should people do?"
+        placeholderTextColor="#8b93a7"
+        multiline
+      />
+
+      <View style={s.actions}>
+        <TouchableOpacity style={[s.btn, s.btnPrimary]} onPress={onSave}>
+          <Text style={s.btnText}>Save</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={s.btn} onPress={onCancel}>
+          <Text style={s.btnText}>Cancel</Text>
+        </TouchableOpacity>
+        {onDelete && (
+          <TouchableOpacity style={[s.btn, s.btnDanger]} onPress={onDelete}>
+            <MaterialCommunityIcons name="delete-outline" size={16} style={s.dangerIcon} />
+            <Text style={s.dangerText}>Delete</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+}
+
+function QuietHoursEditor({ value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  const setDay = (i, day) => set({ days: value.days.map((d, j) => (j === i ? day : d)) });
+
+  return (
+    <View style={[s.row, s.editor]}>
+      <View style={s.inline}>
+        <Text style={[s.rowTitle, { flex: 1 }]}>Quiet hours</Text>
+        <Switch value={!!value.enabled} onValueChange={(enabled) => set({ enabled })} />
+      </View>
+      {value.enabled && (
+        <>
+          <Text style={s.fieldLabel}>Alerts during quiet hours</Text>
+          <View style={s.chips}>
+            <Chip
+              label="Summary when it ends"
+              active={value.mode === "defer"}
+              onPress={() => set({ mode: "defer" })}
+            />
+            <Chip
+              label="Skip them"
+              active={value.mode === "suppress"}
+              onPress={() => set({ mode: "suppress" })}
+            />
+          </View>
+          <View style={s.inline}>
+            <Text style={[s.rowSub, { flex: 1 }]}>Severe alerts break through</Text>
+            <Switch
+              value={!!value.severeBreaksThrough}
+              onValueChange={(severeBreaksThrough) => set({ severeBreaksThrough })}
+            />
+          </View>
+
+          <Text style={s.fieldLabel}>Schedule (a night belongs to the day it starts)</Text>
+          {WEEKDAYS.map((name, i) => (
+            <QuietDay
+              key={name}
+              name={name}
+              day={value.days?.[i] ?? null}
+              onChange={(day) => setDay(i, day)}
+            />
+          ))}
+        </>
+      )}
+    </View>
+  );
+}
+
+function BriefingEditor({ value, onChange }) {
+  const [time, setTime] = useState(value.time);
+
+  useEffect(() => setTime(value.time), [value.time]);
+
+  // Only commit a valid time; invalid input snaps back on blur
+  const commit = () => {
+    if (parseTimeOfDay(time)) onChange({ ...value, time });
+    else setTime(value.time);
+  };
+
+  return (
+    <View style={[s.row, s.editor]}>
+      <View style={s.inline}>
+        <Text style={[s.rowTitle, { flex: 1 }]}>Daily briefing</Text>
+        <Switch value={!!value.enabled} onValueChange={(enabled) => onChange({ ...value, enabled })} />
+      </View>
+      <Text style={s.rowSub}>High/low, rain, wind and advice for the day, for your last location.</Text>
+      {value.enabled && (
+        <View style={s.inline}>
+          <Text style={[s.rowSub, { flex: 1 }]}>Send at</Text>
+          <TextInput
+            style={[s.input, s.numberInput]}
+            value={time}
+            onChangeText={setTime}
+            onEndEditing={commit}
+            keyboardType="numbers-and-punctuation"
+          />
+        </View>
+      )}
+    </View>
+  );
+}
+
+function QuietDay({ name, day, onChange }) {
+  const [start, setStart] = useState(day?.start ?? "22:00");
+  const [end, setEnd] = useState(day?.end ?? "07:00");
+
+  useEffect(() => {
+    if (day) {
+      setStart(day.start);
+      setEnd(day.end);
+    }
+  }, [day]);
+
+  // Only commit valid times; invalid input snaps back on blur
+  const commit = () => {
+    if (parseTimeOfDay(start) && parseTimeOfDay(end)) onChange({ start, end });
+    else {
+      setStart(day?.start ?? "22:00");
+      setEnd(day?.end ?? "07:00");
+    }
+  };
+
+  return (
+    <View style={s.inline}>
+      <Text style={[s.unit, s.dayName]}>{name}</Text>
+      <Switch value={!!day} onValueChange={(on) => onChange(on ? { start, end } : null)} />
+      {day && (
+        <>
+          <TextInput
+            style={[s.input, s.numberInput]}
+            value={start}
+            onChangeText={setStart}
+            onEndEditing={commit}
+            keyboardType="numbers-and-punctuation"
+          />
+          <Text style={s.unit}>–</Text>
+          <TextInput
+            style={[s.input, s.numberInput]}
+            value={end}
+            onChangeText={setEnd}
+            onEndEditing={commit}
+            keyboardType="numbers-and-punctuation"
+          />
+        </>
+      )}
+    </View>
+  );
+}
+
+function Chip({ label, active, onPress }) {
+  return (
+    <TouchableOpacity style={[s.chip, active && s.chipActive]} onPress={onPress}>
+      <Text style={[s.chipText, active && s.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
+const s = StyleSheet.create({
+  backdrop: { flex: 1, backgroundColor: "rgba(0,0,0,0.35)", justifyContent: "flex-end" },
+  sheet: {
+    backgroundColor: "#10131a",
+    borderTopLeftRadius: 18,
+    borderTopRightRadius: 18,
+    padding: 16,
+    maxHeight: "85%",
+    ...Platform.select({
+      android: { elevation: 12 },
+      ios: {
+        shadowColor: "#000",
+        shadowOpacity: 0.3,
+        shadowRadius: 10,
+        shadowOffset: { width: 0, height: -4 },
+      },
+    }),
+  },
+  header: { flexDirection: "row", alignItems: "center", gap: 8, marginBottom: 6 },
+  headerIcon: { color: "#9cc3ff" },
+  headerText: { color: "#eef3ff", fontWeight: "800", fontSize: 18 },
+  muted: { color: "#9aa3b5" },
+
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 12,
+    backgroundColor: "rgba(255,255,255,0.05)",
+  },
+  rowTitle: { color: "#eaf1ff", fontWeight: "700", textTransform: "capitalize" },
+  rowSub: { color: "#a9b3c8", marginTop: 2, fontSize: 12 },
+  disabled: { color: "#6f788a" },
+
+  editor: { flexDirection: "column", alignItems: "stretch", gap: 6 },
+  fieldLabel: { color: "#8fa0b8", fontSize: 12, fontWeight: "700", marginTop: 4 },
+  input: {
+    color: "#e7eefc",
+    backgroundColor: "rgba(255,255,255,0.06)",
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+  },
+  numberInput: { minWidth: 72, textAlign: "center" },
+  unit: { color: "#a9b3c8", fontWeight: "700" },
+  dayName: { width: 36 },
+  inline: { flexDirection: "row", alignItems: "center", gap: 8, flexWrap: "wrap" },
+
+  chips: { flexDirection: "row", flexWrap: "wrap", gap: 6 },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 999,
+    backgroundColor: "rgba(255,255,255,0.06)",
+    borderWidth: 1,
+    borderColor: "rgba(255,255,255,0.08)",
+  },
+  chipActive: { backgroundColor: "rgba(90,140,255,0.25)", borderColor: "rgba(112,160,255,0.5)" },
+  chipText: { color: "#b7c2d6", fontSize: 12, fontWeight: "600" },
+  chipTextActive: { color: "#e4edff" },
+
+  actions: { flexDirection: "row", flexWrap: "wrap", gap: 8, marginTop: 8 },
+  btn: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 999,
+    backgroundColor: "rgba(255,255,255,0.06)",
+  },
+  btnPrimary: { backgroundColor: "rgba(90,140,255,0.3)" },
+  btnDanger: { backgroundColor: "rgba(255,90,90,0.12)" },
+  btnIcon: { color: "#b8d2ff" },
+  btnText: { color: "#dbe7ff", fontWeight: "700" },
+  dangerIcon: { color: "#ff9a9a" },
+  dangerText: { color: "#ff9a9a", fontWeight: "700" },
+
+  close: {
+    alignSelf: "center",
+    marginTop: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 999,
+    backgroundColor: "rgba(255,255,255,0.06)",
+  },
+  closeText: { color: "#dbe7ff", fontWeight: "700" },
+});
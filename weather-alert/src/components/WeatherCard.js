@@ -1,42 +1,29 @@
-import React, { useMemo } from "react";
+import React from "react";
 import { View, Text, StyleSheet, Platform } from "react-native";
 import { LinearGradient } from "expo-linear-gradient";
 import { MaterialCommunityIcons } from "@expo/vector-icons";
 import dayjs from "dayjs";
 import { assessSlot } from "../utils/weatherLogic";
+import { describeWeather } from "../utils/weatherSymbols";
+import { SEVERITIES, severityTint } from "../utils/severity";
+import { PRECIP_TYPES } from "../utils/precipitation";
 
-export default function WeatherCard({ current }) {
+export default function WeatherCard({ current, forecast, rules }) {
   if (!current) return null;
 
-  const assess = assessSlot(current);
+  const assess = assessSlot(current, rules, forecast);
   const temp = Math.round(current.tempC);
   const rain = Number(current.precipMM ?? 0);
   const windKmh = Math.round((current.windMS || 0) * 3.6);
+  const extraMetrics = buildExtraMetrics(current);
+  const precip = PRECIP_TYPES[current.precipType];
 
-  const iconName = useMemo(() => {
-    if (rain >= 2) return "weather-pouring";
-    if (rain >= 0.2) return "weather-rainy";
-    if (temp <= 3) return "snowflake";
-    if (temp >= 30) return "white-balance-sunny";
-    return "weather-partly-cloudy";
-  }, [rain, temp]);
-
-  const headline = useMemo(() => {
-    if (rain >= 2) return "Heavy rain";
-    if (rain >= 0.2) return "Rain";
-    if (temp <= 3) return "Very cold";
-    if (temp >= 30) return "Very hot";
-    if (windKmh >= 36) return "Windy";
-    return "Calm";
-  }, [rain, temp, windKmh]);
-
-  const gradient = assess.isBad
-    ? ["#2a1b0b", "#1a1410", "#121319"]
-    : ["#131722", "#141a26", "#101216"];
+  const { icon: iconName, label: headline, gradient } = describeWeather(current);
+  const severity = assess.isBad ? SEVERITIES[assess.severity] : null;
 
   return (
     <LinearGradient colors={gradient} start={{ x: 0, y: 0 }} end={{ x: 1, y: 1 }} style={styles.wrap}>
-      <View style={[styles.card, assess.isBad && styles.badBorder]}>
+      <View style={[styles.card, severity && { borderColor: severityTint(assess.severity, 0.4) }]}>
         {/* Header */}
         <View style={styles.headerRow}>
           <View style={styles.titleWrap}>
@@ -55,26 +42,94 @@ export default function WeatherCard({ current }) {
 
         {/* Metrics row */}
         <View style={styles.metrics}>
-          <Metric label="Rain (1h)" value={`${rain.toFixed(1)} mm`} icon="umbrella-outline" />
+          <Metric
+            label={`${precip?.label ?? "Rain"} (1h)`}
+            value={`${rain.toFixed(1)} mm`}
+            icon={precip && current.precipType !== "rain" ? precip.icon : "umbrella-outline"}
+          />
           <Metric label="Wind" value={`${windKmh} km/h`} icon="weather-windy" />
+          {extraMetrics.map((m) => (
+            <Metric key={m.label} {...m} />
+          ))}
         </View>
 
         {/* Advice */}
-        <View style={[styles.adviceBar, assess.isBad ? styles.adviceBad : styles.adviceOk]}>
-          <MaterialCommunityIcons
-            name={assess.isBad ? "alert-decagram" : "emoticon-happy-outline"}
-            size={18}
-            style={assess.isBad ? styles.adviceIconBad : styles.adviceIconOk}
-          />
-          <Text style={[styles.adviceText, assess.isBad ? styles.adviceTextBad : styles.adviceTextOk]}>
-            {assess.isBad ? assess.advice : "All good. Enjoy your day!"}
-          </Text>
-        </View>
+        {severity ? (
+          <View
+            style={[
+              styles.adviceBar,
+              {
+                backgroundColor: severityTint(assess.severity, 0.12),
+                borderColor: severityTint(assess.severity, 0.3),
+              },
+            ]}
+          >
+            <MaterialCommunityIcons
+              name={severity.icon}
+              size={18}
+              style={{ color: severityTint(assess.severity, 1) }}
+            />
+            <View style={{ flex: 1 }}>
+              <Text style={[styles.severityLabel, { color: severityTint(assess.severity, 1) }]}>
+                {severity.label}
+              </Text>
+              <Text style={[styles.adviceText, styles.adviceTextBad, { color: severity.text }]}>
+                {assess.advice}
+              </Text>
+            </View>
+          </View>
+        ) : (
+          <View style={[styles.adviceBar, styles.adviceOk]}>
+            <MaterialCommunityIcons name="emoticon-happy-outline" size={18} style={styles.adviceIconOk} />
+            <Text style={[styles.adviceText, styles.adviceTextOk]}>All good. Enjoy your day!</Text>
+          </View>
+        )}
       </View>
     </LinearGradient>
   );
 }
 
+const isNum = (v) => Number.isFinite(v);
+
+/** Optional metrics; providers don't all supply every parameter */
+function buildExtraMetrics(slot) {
+  const out = [];
+  if (isNum(slot.gustMS)) {
+    out.push({ label: "Gusts", value: `${Math.round(slot.gustMS * 3.6)} km/h`, icon: "weather-windy-variant" });
+  }
+  const feels = isNum(slot.feelsLikeC) ? slot.feelsLikeC : slot.apparentTempC;
+  if (isNum(feels)) {
+    out.push({ label: "Feels like", value: `${Math.round(feels)}°C`, icon: feelsLikeIcon(slot, feels) });
+  }
+  if (isNum(slot.humidityPct)) {
+    out.push({ label: "Humidity", value: `${Math.round(slot.humidityPct)}%`, icon: "water-percent" });
+  }
+  if (isNum(slot.uvIndex)) {
+    out.push({ label: "UV index", value: `${Math.round(slot.uvIndex)}`, icon: "weather-sunny-alert" });
+  }
+  if (isNum(slot.visibilityM)) {
+    const km = slot.visibilityM / 1000;
+    out.push({ label: "Visibility", value: km >= 10 ? `${Math.round(km)} km` : `${km.toFixed(1)} km`, icon: "eye-outline" });
+  }
+  if (isNum(slot.cloudPct)) {
+    out.push({ label: "Cloud", value: `${Math.round(slot.cloudPct)}%`, icon: "weather-cloudy" });
+  }
+  if (slot.iceRisk) {
+    out.push({ label: "Black ice", value: "Likely", icon: "snowflake-alert" });
+  }
+  if (isNum(slot.snowCM) && slot.snowCM > 0) {
+    out.push({ label: "Snow (1h)", value: `${slot.snowCM.toFixed(1)} cm`, icon: "snowflake" });
+  }
+  return out;
+}
+
+/** Hint at why it feels different from the thermometer */
+function feelsLikeIcon(slot, feels) {
+  if (isNum(slot.tempC) && feels <= slot.tempC - 2) return "snowflake-thermometer";
+  if (isNum(slot.tempC) && feels >= slot.tempC + 2) return "sun-thermometer-outline";
+  return "thermometer";
+}
+
 function Metric({ label, value, icon }) {
   return (
     <View style={styles.metricChip}>
@@ -102,10 +157,6 @@ const styles = StyleSheet.create({
     ...elevate(8),
     gap: 12,
   },
-  badBorder: {
-    borderColor: "rgba(255,160,80,0.35)",
-  },
-
   headerRow: { flexDirection: "row", justifyContent: "space-between", alignItems: "center" },
   titleWrap: { flexDirection: "row", alignItems: "center", gap: 6 },
   titleIcon: { color: "#9ec2ff" },
@@ -119,10 +170,12 @@ const styles = StyleSheet.create({
 
   metrics: {
     flexDirection: "row",
+    flexWrap: "wrap",
     gap: 10,
   },
   metricChip: {
-    flex: 1,
+    flexGrow: 1,
+    flexBasis: "45%",
     flexDirection: "row",
     gap: 10,
     alignItems: "center",
@@ -144,14 +197,14 @@ const styles = StyleSheet.create({
     paddingHorizontal: 12,
     paddingVertical: 10,
     borderRadius: 12,
+    borderWidth: 1,
   },
-  adviceOk: { backgroundColor: "rgba(80,200,120,0.12)", borderWidth: 1, borderColor: "rgba(80,200,120,0.25)" },
-  adviceBad: { backgroundColor: "rgba(255,180,80,0.12)", borderWidth: 1, borderColor: "rgba(255,180,80,0.25)" },
+  adviceOk: { backgroundColor: "rgba(80,200,120,0.12)", borderColor: "rgba(80,200,120,0.25)" },
   adviceIconOk: { color: "#a6f7c4" },
-  adviceIconBad: { color: "#ffd29a" },
+  severityLabel: { fontSize: 11, fontWeight: "800", textTransform: "uppercase", letterSpacing: 0.6 },
   adviceText: { flex: 1, lineHeight: 18 },
   adviceTextOk: { color: "#dff5e8", fontWeight: "600" },
-  adviceTextBad: { color: "#ffe8c6", fontWeight: "700" },
+  adviceTextBad: { fontWeight: "700" },
 });
 
 /* Utility shadow/elevation */
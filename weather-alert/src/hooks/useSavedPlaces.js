@@ -0,0 +1,158 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { AppState } from "react-native";
+import { getWeather, getDailyForecast } from "../services/weather";
+import { loadSavedPlaces, setFavouriteAlerts } from "../services/places";
+import { updateAlertsForPlace } from "../services/alertCheck";
+import { readCache, writeCache, cacheKeyFor } from "../services/cache";
+
+const POLL_MS = 5 * 60 * 1000;
+const DAILY_DAYS = 7;
+// Same cadence as useWeather: the 7-day outlook is refetched hourly, not every poll
+const DAILY_MAX_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Saved locations (the PlacePicker favourites), each fetched and assessed on its
+ * own. `weather` maps place id -> { status, error, current, forecast, daily,
+ * provider, savedAt, isStale }, showing cached data until the fetch lands.
+ */
+export default function useSavedPlaces() {
+  const [places, setPlaces] = useState([]);
+  const [weather, setWeather] = useState({});
+
+  const placesRef = useRef([]);
+  const weatherRef = useRef({});
+  const inflightRef = useRef(false);
+  const lastFetchRef = useRef(0);
+
+  const patch = useCallback((id, changes) => {
+    weatherRef.current = { ...weatherRef.current, [id]: { ...weatherRef.current[id], ...changes } };
+    setWeather(weatherRef.current);
+  }, []);
+
+  const loadPlace = useCallback(
+    async (place) => {
+      const key = cacheKeyFor(place.lat, place.lon);
+      const cached = await readCache(key);
+      if (cached && weatherRef.current[place.id]?.status !== "done") {
+        const { current, forecast, daily = [], provider = null } = cached.data;
+        patch(place.id, {
+          status: "done",
+          current,
+          forecast,
+          daily,
+          provider,
+          savedAt: cached.savedAt,
+          isStale: cached.isStale,
+        });
+      } else if (!weatherRef.current[place.id]) {
+        patch(place.id, { status: "loading" });
+      }
+
+      try {
+        // Daily is best-effort and reused while recent; hourly drives status
+        const prev = cached?.data;
+        const dailyFresh = prev?.daily?.length > 0 && Date.now() - (prev.dailyAt ?? 0) < DAILY_MAX_AGE_MS;
+        const dailyPromise = dailyFresh
+          ? null
+          : getDailyForecast(place.lat, place.lon, DAILY_DAYS).catch((e) => {
+              console.log("[useSavedPlaces] daily error:", e);
+              return null;
+            });
+        const data = await getWeather(place.lat, place.lon);
+        const dailyData = await dailyPromise;
+        const fresh = dailyData
+          ? { ...data, daily: dailyData.days, dailyAt: Date.now() }
+          : { ...data, daily: prev?.daily ?? [], dailyAt: prev?.dailyAt ?? 0 };
+        writeCache(key, fresh);
+        patch(place.id, {
+          status: "done",
+          error: null,
+          current: data.current,
+          forecast: data.forecast,
+          daily: fresh.daily,
+          provider: data.provider ?? null,
+          savedAt: Date.now(),
+          isStale: false,
+        });
+        // Alerts are a side effect; their failure doesn't make the weather stale
+        await updateAlertsForPlace(place, data.forecast).catch((e) => {
+          console.log("[useSavedPlaces] alerts error:", e);
+        });
+      } catch (e) {
+        console.log("[useSavedPlaces] load error:", e);
+        const error = e.message ?? String(e);
+        // Keep showing cached data, marked stale
+        if (weatherRef.current[place.id]?.status === "done") patch(place.id, { error, isStale: true });
+        else patch(place.id, { status: "error", error });
+      }
+    },
+    [patch]
+  );
+
+  /** Fetch every saved place (or just those not fetched yet), one at a time */
+  const refresh = useCallback(
+    async ({ missingOnly = false } = {}) => {
+      if (inflightRef.current) return;
+      inflightRef.current = true;
+      try {
+        for (const place of placesRef.current) {
+          if (missingOnly && weatherRef.current[place.id]) continue;
+          await loadPlace(place);
+        }
+        lastFetchRef.current = Date.now();
+      } finally {
+        inflightRef.current = false;
+      }
+    },
+    [loadPlace]
+  );
+
+  /** Re-read the saved list (after PlacePicker edits it) and fetch new arrivals */
+  const reload = useCallback(async () => {
+    try {
+      const { favourites } = await loadSavedPlaces();
+      placesRef.current = favourites;
+      setPlaces(favourites);
+      // Removed places (or switched-off alerts) stop getting notifications
+      await updateAlertsForPlace(null, null);
+      await refresh({ missingOnly: true });
+    } catch (e) {
+      console.log("[useSavedPlaces] reload error:", e);
+    }
+  }, [refresh]);
+
+  const setAlerts = useCallback(async (id, enabled) => {
+    try {
+      const favourites = await setFavouriteAlerts(id, enabled);
+      placesRef.current = favourites;
+      setPlaces(favourites);
+      const place = favourites.find((p) => p.id === id);
+      await updateAlertsForPlace(place, weatherRef.current[id]?.forecast);
+    } catch (e) {
+      console.log("[useSavedPlaces] alerts toggle error:", e);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  useEffect(() => {
+    let timer = setInterval(() => refresh(), POLL_MS);
+    const sub = AppState.addEventListener("change", (state) => {
+      if (state === "active") {
+        if (Date.now() - lastFetchRef.current > POLL_MS) refresh();
+        if (!timer) timer = setInterval(() => refresh(), POLL_MS);
+      } else if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    });
+    return () => {
+      sub.remove();
+      if (timer) clearInterval(timer);
+    };
+  }, [refresh]);
+
+  return { places, weather, refresh, reload, setAlerts };
+}
@@ -0,0 +1,24 @@
+import { useEffect, useState } from "react";
+import { getSettings, loadSettings, subscribeSettings, updateSettings } from "../services/settings";
+
+export default function useSettings() {
+  const [settings, setSettings] = useState(getSettings());
+  // false while `settings` are still the defaults
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    loadSettings().then((s) => {
+      if (!alive) return;
+      setSettings(s);
+      setLoaded(true);
+    });
+    const unsubscribe = subscribeSettings(setSettings);
+    return () => {
+      alive = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return { settings, loaded, updateSettings };
+}
@@ -1,14 +1,22 @@
 import { useCallback, useEffect, useRef, useState } from "react";
 import { AppState } from "react-native";
 import * as Location from "expo-location";
-import dayjs from "dayjs";
-import { getWeather } from "../services/meteomatics";
-import { assessSlot, findNextBadWeatherSlot } from "../utils/weatherLogic";
-import { scheduleWeatherAlert } from "../notifications/notificationService";
-import { saveWeather, loadWeather, cacheKeyFor } from "../services/cache";
+import { getWeather, getDailyForecast } from "../services/weather";
+import { saveLastLocation } from "../services/places";
+import { updateAlertsForPlace } from "../services/alertCheck";
+import {
+  readCache,
+  writeCache,
+  pruneCache,
+  findNearestCache,
+  cacheKeyFor,
+} from "../services/cache";
 
 const FALLBACK = { lat: 53.3501, lon: -6.2661 };
 const POLL_MS = 5 * 60 * 1000;
+const DAILY_DAYS = 7;
+// The 7-day outlook changes slowly: refetch it hourly, not on every poll
+const DAILY_MAX_AGE_MS = 60 * 60 * 1000;
 
 async function withRetry(fn, tries = 2) {
   let lastErr;
@@ -58,6 +66,11 @@ export default function useWeather() {
   const [error, setError] = useState(null);
   const [current, setCurrent] = useState(null);
   const [forecast, setForecast] = useState([]);
+  const [daily, setDaily] = useState([]);
+  const [provider, setProvider] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [isStale, setIsStale] = useState(false);
+  const [dataSavedAt, setDataSavedAt] = useState(null);
   const [locationInfo, setLocationInfo] = useState({
     lat: null,
     lon: null,
@@ -66,9 +79,37 @@ export default function useWeather() {
   });
 
   const startedRef = useRef(false);
-  const lastNotifiedISORef = useRef(null);
   const intervalRef = useRef(null);
   const lastFetchRef = useRef(0);
+  const inflightRef = useRef(false);
+  const queuedRef = useRef(null); // a place picked (or linked) while a load was running
+  const dataKeyRef = useRef(null); // cache key of the data currently on screen
+  const dataRef = useRef(null);
+
+  const applyData = useCallback((data, key, { savedAt = Date.now(), stale = false } = {}) => {
+    dataRef.current = data;
+    setDataSavedAt(savedAt);
+    setIsStale(stale);
+    setCurrent(data.current);
+    setForecast(data.forecast);
+    setDaily(data.daily ?? []);
+    setProvider(data.provider ?? null);
+    dataKeyRef.current = key;
+    setStatus("done");
+  }, []);
+
+  // Stale-while-revalidate: show whatever we have cached for this spot right away
+  const showCached = useCallback(
+    async (lat, lon) => {
+      const key = cacheKeyFor(lat, lon);
+      if (dataKeyRef.current === key) return true;
+      const cached = await readCache(key);
+      if (!cached) return false;
+      applyData(cached.data, key, { savedAt: cached.savedAt, stale: cached.isStale });
+      return true;
+    },
+    [applyData]
+  );
 
   const stopTimer = useCallback(() => {
     if (intervalRef.current) {
@@ -80,20 +121,25 @@ export default function useWeather() {
   const startTimer = useCallback(() => {
     if (intervalRef.current) return;
     intervalRef.current = setInterval(() => {
-      load(); // safe; load guards on "loading"
+      load(); // safe; load guards on in-flight requests
     }, POLL_MS);
   }, []); // eslint-disable-line
 
   // Core loader. If override provided, use that instead of GPS.
   const load = useCallback(
     async (override /* {lat,lon, city?, country?, skipReverse?} */) => {
-      if (status === "loading") return;
+      if (inflightRef.current) {
+        if (override) queuedRef.current = override;
+        return;
+      }
+      inflightRef.current = true;
+      let lat, lon;
 
       try {
-        setStatus("loading");
+        setRefreshing(true);
         setError(null);
 
-        let lat, lon, presetCity, presetCountry, skipReverse;
+        let presetCity, presetCountry, skipReverse;
         if (override?.lat != null && override?.lon != null) {
           // Manual selection path
           lat = override.lat;
@@ -110,16 +156,7 @@ export default function useWeather() {
           lat = last?.coords?.latitude;
           lon = last?.coords?.longitude;
 
-          // Show cached on first run
-          if (lat != null && lon != null && lastFetchRef.current === 0 && status === "idle") {
-            const key = cacheKeyFor(lat, lon);
-            const cached = await loadWeather(key);
-            if (cached) {
-              setCurrent(cached.current);
-              setForecast(cached.forecast);
-              setStatus("done");
-            }
-          }
+          if (lat != null && lon != null) await showCached(lat, lon);
 
           // 2) Fresh fix (cap to 4s)
           try {
@@ -137,6 +174,10 @@ export default function useWeather() {
           }
         }
 
+        // Cached data for this spot shows instantly; otherwise a spinner until fetched
+        const key = cacheKeyFor(lat, lon);
+        if (!(await showCached(lat, lon))) setStatus("loading");
+
         // Save coords
         setLocationInfo((prev) => ({
           ...prev,
@@ -146,50 +187,70 @@ export default function useWeather() {
           country: presetCountry ?? prev.country,
         }));
 
-        // Resolve city/country unless provided
+        // Resolve city/country unless provided; the background check reuses this spot
+        await saveLastLocation({ lat, lon, city: presetCity ?? null, country: presetCountry ?? null });
+        let named = Promise.resolve();
         if (!skipReverse && (!presetCity || !presetCountry)) {
-          reverseGeocodeRobust(lat, lon)
-            .then(({ city, country }) => setLocationInfo((p) => ({ ...p, city, country })))
+          named = reverseGeocodeRobust(lat, lon)
+            .then(({ city, country }) => {
+              setLocationInfo((p) => ({ ...p, city, country }));
+              return saveLastLocation({ lat, lon, city, country });
+            })
             .catch(() => {});
         }
 
-        // 3) Weather
+        // 3) Weather (daily is best-effort and reused while recent; hourly drives status)
+        const prev = dataKeyRef.current === key ? dataRef.current : null;
+        const dailyFresh = prev?.daily?.length > 0 && Date.now() - (prev.dailyAt ?? 0) < DAILY_MAX_AGE_MS;
+        const dailyPromise = dailyFresh
+          ? null
+          : getDailyForecast(lat, lon, DAILY_DAYS).catch((e) => {
+              console.log("[useWeather] daily error:", e);
+              return null;
+            });
         const data = await withRetry(() => getWeather(lat, lon), 2);
+        const dailyData = await dailyPromise;
+        const fresh = dailyData
+          ? { ...data, daily: dailyData.days, dailyAt: Date.now() }
+          : { ...data, daily: prev?.daily ?? [], dailyAt: prev?.dailyAt ?? 0 };
 
-        const changed =
-          !current ||
-          forecast.length !== data.forecast.length ||
-          current.time !== data.current.time;
-
-        if (changed) {
-          setCurrent(data.current);
-          setForecast(data.forecast);
-          saveWeather(cacheKeyFor(lat, lon), data);
-        }
+        applyData(fresh, key);
+        writeCache(key, fresh);
 
-        // 4) Alert once per new bad slot
-        const nextBad = findNextBadWeatherSlot(data.forecast);
-        if (nextBad && lastNotifiedISORef.current !== nextBad.time) {
-          const assess = assessSlot(nextBad);
-          const eventTime = dayjs(nextBad.time);
-          const notifyAt = eventTime.subtract(1, "hour");
-          await scheduleWeatherAlert({
-            when: notifyAt,
-            title: "Incoming bad weather",
-            body: `${assess.reasons.join(", ")} around ${eventTime.local().format("HH:mm")}. ${assess.advice}`,
-          });
-          lastNotifiedISORef.current = nextBad.time;
-        }
+        // 4) Alerts: one per bad-weather episode (the ledger keeps this idempotent).
+        // The place name goes into notification text; don't hold alerts up for a slow geocoder
+        await Promise.race([named, new Promise((r) => setTimeout(r, 3000))]);
+        await updateAlertsForPlace({ lat, lon }, data.forecast).catch((e) => {
+          console.log("[useWeather] alerts error:", e);
+        });
 
         lastFetchRef.current = Date.now();
-        setStatus("done");
       } catch (e) {
         console.log("[useWeather] load error:", e);
-        if (!current || forecast.length === 0) setStatus("error");
         setError(e.message ?? String(e));
+
+        // Offline: keep what's on screen, or fall back to the newest nearby cache entry
+        const hasCoords = lat != null && lon != null;
+        let offline =
+          dataKeyRef.current != null && (!hasCoords || dataKeyRef.current === cacheKeyFor(lat, lon));
+        if (!offline && hasCoords) {
+          const nearest = await findNearestCache(lat, lon);
+          if (nearest) {
+            applyData(nearest.data, nearest.key, { savedAt: nearest.savedAt, stale: true });
+            offline = true;
+          }
+        }
+        if (offline) setIsStale(true);
+        else setStatus("error");
+      } finally {
+        inflightRef.current = false;
+        setRefreshing(false);
+        const queued = queuedRef.current;
+        queuedRef.current = null;
+        if (queued) load(queued);
       }
     },
-    [status, current, forecast.length]
+    [applyData, showCached]
   );
 
   // Manual override entry point for UI
@@ -206,6 +267,7 @@ export default function useWeather() {
   useEffect(() => {
     if (startedRef.current) return;
     startedRef.current = true;
+    pruneCache();
     load();
   }, [load]);
 
@@ -225,5 +287,19 @@ export default function useWeather() {
     };
   }, [load, startTimer, stopTimer]);
 
-  return { status, error, current, forecast, locationInfo, refresh: load, refreshWithCoords };
+  return {
+    status,
+    error,
+    current,
+    forecast,
+    daily,
+    provider,
+    refreshing,
+    isStale,
+    dataAge: dataSavedAt ? Date.now() - dataSavedAt : null,
+    dataSavedAt,
+    locationInfo,
+    refresh: load,
+    refreshWithCoords,
+  };
 }
@@ -0,0 +1,298 @@
+jest.mock("@react-native-async-storage/async-storage", () =>
+  require("@react-native-async-storage/async-storage/jest/async-storage-mock")
+);
+jest.mock("expo-task-manager", () => ({ defineTask: jest.fn() }));
+jest.mock("expo-notifications", () => {
+  let next = 0;
+  return {
+    AndroidImportance: { DEFAULT: 3, HIGH: 4, MAX: 5 },
+    SchedulableTriggerInputTypes: { DATE: "date" },
+    setNotificationHandler: jest.fn(),
+    addNotificationResponseReceivedListener: jest.fn(),
+    dismissNotificationAsync: jest.fn(async () => {}),
+    scheduleNotificationAsync: jest.fn(async () => `n${++next}`),
+    cancelScheduledNotificationAsync: jest.fn(async () => {}),
+  };
+});
+
+import { DEFAULT_QUIET_HOURS } from "../../utils/quietHours";
+
+// Local times on Friday 3 January 2025
+const t = (h, min = 0) => new Date(2025, 0, 3, h, min).toISOString();
+const NOW = Date.parse(t(10));
+const KEY = "wx:53.35,-6.26";
+
+const alert = (changes = {}) => ({
+  start: t(14),
+  end: t(16),
+  times: [t(13)],
+  title: "Weather warning",
+  body: "Rain 14:00–16:00",
+  severity: "warning",
+  data: { url: "weatheralert://forecast?lat=53.35&lon=-6.26", episode: { start: t(14), end: t(16) } },
+  label: "Rain",
+  wet: true,
+  ...changes,
+});
+
+let service;
+let Notifications;
+let AsyncStorage;
+
+/** Scheduled (dated) and immediate notifications, in call order */
+const scheduled = () =>
+  Notifications.scheduleNotificationAsync.mock.calls
+    .map(([request]) => request)
+    .filter((r) => r.trigger.type === "date");
+const presented = () =>
+  Notifications.scheduleNotificationAsync.mock.calls
+    .map(([request]) => request)
+    .filter((r) => !r.trigger.type);
+const cancelled = () => Notifications.cancelScheduledNotificationAsync.mock.calls.map(([id]) => id);
+const ledger = async () => JSON.parse(await AsyncStorage.getItem("alerts:ledger"));
+
+beforeEach(() => {
+  // Dates only: the storage mock and the ledger queue run on real microtasks
+  jest.useFakeTimers({ now: NOW, doNotFake: ["nextTick", "setImmediate", "queueMicrotask"] });
+  jest.resetModules();
+  Notifications = require("expo-notifications");
+  AsyncStorage = require("@react-native-async-storage/async-storage");
+  service = require("../notificationService");
+});
+
+afterEach(async () => {
+  await AsyncStorage.clear();
+  jest.useRealTimers();
+});
+
+describe("syncAlerts", () => {
+  it("schedules each episode's reminders and records them in the ledger", async () => {
+    const [entry] = await service.syncAlerts(KEY, [alert()]);
+
+    expect(scheduled()).toHaveLength(1);
+    expect(scheduled()[0].trigger.date).toEqual(new Date(t(13)));
+    expect(scheduled()[0].content).toMatchObject({
+      title: "Weather warning",
+      body: "Rain 14:00–16:00",
+      categoryIdentifier: "weather-alert",
+    });
+    expect(entry.reminders).toEqual([{ at: t(13), kind: "push", id: "n1" }]);
+    expect((await ledger())[KEY].episodes).toHaveLength(1);
+  });
+
+  it("leaves an unchanged episode alone on the next sync", async () => {
+    await service.syncAlerts(KEY, [alert()]);
+    await service.syncAlerts(KEY, [alert({ start: t(14, 30) })]);
+
+    expect(scheduled()).toHaveLength(1);
+    expect(cancelled()).toEqual([]);
+    expect((await ledger())[KEY].episodes[0].start).toBe(t(14, 30));
+  });
+
+  it("reschedules an episode whose text changed", async () => {
+    await service.syncAlerts(KEY, [alert()]);
+    await service.syncAlerts(KEY, [alert({ body: "Heavy rain 14:00–16:00" })]);
+
+    expect(cancelled()).toEqual(["n1"]);
+    expect(scheduled().map((r) => r.content.body)).toEqual(["Rain 14:00–16:00", "Heavy rain 14:00–16:00"]);
+  });
+
+  it("cancels the reminders of an episode the forecast dropped", async () => {
+    await service.syncAlerts(KEY, [alert()]);
+    await service.syncAlerts(KEY, []);
+
+    expect(cancelled()).toEqual(["n1"]);
+    expect(await ledger()).toEqual({});
+  });
+
+  it("alerts right away, once, when the episode starts before every reminder", async () => {
+    const soon = alert({ start: t(10, 30), times: [t(9, 30)] });
+    await service.syncAlerts(KEY, [soon]);
+    await service.syncAlerts(KEY, [soon]);
+
+    expect(scheduled()).toHaveLength(0);
+    expect(presented()).toHaveLength(1);
+  });
+
+  it("never repeats a reminder that already fired", async () => {
+    await service.syncAlerts(KEY, [alert({ times: [t(11), t(13)] })]);
+    jest.setSystemTime(Date.parse(t(12)));
+    await service.syncAlerts(KEY, [alert({ times: [t(11), t(13)], body: "Heavy rain 14:00–16:00" })]);
+
+    // Only the 13:00 reminder was still pending
+    expect(cancelled()).toEqual(["n2"]);
+    expect(scheduled().map((r) => r.trigger.date)).toEqual([
+      new Date(t(11)),
+      new Date(t(13)),
+      new Date(t(13)),
+    ]);
+    expect(presented()).toHaveLength(0);
+  });
+
+  it("keeps locations apart", async () => {
+    await service.syncAlerts(KEY, [alert()]);
+    await service.syncAlerts("wx:51.50,-0.12", []);
+
+    expect(cancelled()).toEqual([]);
+    expect(Object.keys(await ledger())).toEqual([KEY]);
+  });
+});
+
+describe("planReminders", () => {
+  const nights = { ...DEFAULT_QUIET_HOURS, enabled: true };
+
+  it("plans every lead time still ahead", () => {
+    const plan = service.planReminders(alert({ times: [t(11), t(13), t(13, 45)] }), null, NOW);
+    expect(plan).toEqual([
+      { at: t(11), kind: "push" },
+      { at: t(13), kind: "push" },
+      { at: t(13, 45), kind: "push" },
+    ]);
+  });
+
+  it("drops lead times already past", () => {
+    const plan = service.planReminders(alert({ times: [t(9), t(13)] }), null, NOW);
+    expect(plan).toEqual([{ at: t(13), kind: "push" }]);
+  });
+
+  it("merges reminders deferred to the same window end", () => {
+    const night = alert({
+      start: t(23, 30),
+      end: new Date(2025, 0, 4, 9).toISOString(),
+      times: [t(22, 30), t(23)],
+    });
+    expect(service.planReminders(night, nights, NOW)).toEqual([
+      { at: new Date(2025, 0, 4, 7).toISOString(), kind: "deferred" },
+    ]);
+  });
+
+  it("skips a deferral that would land after the episode", () => {
+    const night = alert({ start: t(23), end: new Date(2025, 0, 4, 2).toISOString(), times: [t(22, 30)] });
+    expect(service.planReminders(night, nights, NOW)).toEqual([]);
+  });
+
+  it("lets severe reminders through quiet hours", () => {
+    const night = alert({ start: t(23), end: t(23, 59), times: [t(22, 30)], severity: "severe" });
+    expect(service.planReminders(night, nights, NOW)).toEqual([{ at: t(22, 30), kind: "push" }]);
+  });
+});
+
+describe("syncAlerts in quiet hours", () => {
+  const nights = { ...DEFAULT_QUIET_HOURS, enabled: true };
+  const morning = new Date(2025, 0, 4, 7).toISOString();
+  const night = (changes) =>
+    alert({ start: t(23), end: new Date(2025, 0, 4, 9).toISOString(), times: [t(22, 30)], ...changes });
+
+  it("merges deferred alerts into one summary when the window ends", async () => {
+    const later = new Date(2025, 0, 4, 3).toISOString();
+    const episodes = [night(), night({ start: later, body: "Strong wind from 03:00", severity: "advisory" })];
+    await service.syncAlerts(KEY, episodes, { quietHours: nights, place: "Home" });
+    await service.syncAlerts(KEY, episodes, { quietHours: nights, place: "Home" });
+
+    expect(scheduled()).toHaveLength(1);
+    expect(scheduled()[0].trigger.date).toEqual(new Date(morning));
+    expect(scheduled()[0].content).toMatchObject({
+      title: "2 weather alerts during quiet hours · Home",
+      body: "Rain 14:00–16:00\nStrong wind from 03:00",
+    });
+    expect((await ledger())[KEY].summaries).toEqual([{ at: morning, body: expect.any(String), id: "n1" }]);
+  });
+
+  it("drops alerts in suppress mode", async () => {
+    const [entry] = await service.syncAlerts(KEY, [night()], {
+      quietHours: { ...nights, mode: "suppress" },
+    });
+
+    expect(scheduled()).toHaveLength(0);
+    expect(entry.reminders).toEqual([{ at: t(22, 30), kind: "suppressed", id: null }]);
+  });
+});
+
+describe("syncAlerts all-clear", () => {
+  const allClear = (entry, at) => ({ title: "All clear", body: `${entry.label} has cleared (${at})` });
+
+  it("follows an alerted episode up when it ends, without actions", async () => {
+    const [entry] = await service.syncAlerts(KEY, [alert()], { allClear });
+
+    const followUp = scheduled().find((r) => r.content.title === "All clear");
+    expect(followUp.trigger.date).toEqual(new Date(t(16)));
+    expect(followUp.content.categoryIdentifier).toBeUndefined();
+    expect(followUp.content.data.episode).toBeUndefined();
+    expect(entry.allClear).toMatchObject({ at: t(16), title: "All clear" });
+  });
+
+  it("sends it right away when the forecast drops an episode people were warned about", async () => {
+    await service.syncAlerts(KEY, [alert({ times: [t(11)] })], { allClear });
+    jest.setSystemTime(Date.parse(t(12)));
+    await service.syncAlerts(KEY, [], { allClear });
+
+    expect(presented().map((r) => r.content.title)).toEqual(["All clear"]);
+    expect(cancelled()).toContain("n2"); // the all-clear that was due at the end
+  });
+
+  it("stays quiet about episodes nobody heard about", async () => {
+    await service.syncAlerts(KEY, [alert()], { allClear });
+    await service.syncAlerts(KEY, [], { allClear });
+
+    expect(presented()).toHaveLength(0);
+  });
+});
+
+describe("notification actions", () => {
+  const respond = (actionIdentifier, id = "n1") =>
+    service.handleNotificationResponse({
+      actionIdentifier,
+      notification: {
+        request: {
+          identifier: id,
+          content: {
+            title: "Weather warning",
+            body: "Rain 14:00–16:00",
+            data: { ...alert().data, locationKey: KEY, severity: "warning" },
+          },
+        },
+      },
+    });
+
+  it("snoozes once per notification, and the snooze survives a resync", async () => {
+    await service.syncAlerts(KEY, [alert()]);
+    await respond("snooze");
+    await respond("snooze");
+    await service.syncAlerts(KEY, [alert({ body: "Heavy rain 14:00–16:00" })]);
+
+    const snoozes = scheduled().filter((r) => r.trigger.date.getTime() === NOW + 30 * 60 * 1000);
+    expect(snoozes).toHaveLength(1);
+    expect(cancelled()).toEqual(["n1"]);
+    const { reminders } = (await ledger())[KEY].episodes[0];
+    expect(reminders.filter((r) => r.kind === "snooze")).toEqual([
+      { at: new Date(NOW + 30 * 60 * 1000).toISOString(), kind: "snooze", id: "n2", from: "n1" },
+    ]);
+  });
+
+  it("snoozes once even after the forecast dropped the episode", async () => {
+    await service.syncAlerts(KEY, [alert()]);
+    await service.syncAlerts(KEY, []);
+    await respond("snooze");
+    await respond("snooze");
+
+    expect(scheduled().filter((r) => r.trigger.date.getTime() === NOW + 30 * 60 * 1000)).toHaveLength(1);
+  });
+
+  it("dismisses an episode for good", async () => {
+    await service.syncAlerts(KEY, [alert({ times: [t(11), t(13)] })]);
+    await respond("dismiss");
+    await service.syncAlerts(KEY, [alert({ times: [t(11), t(13)], body: "Heavy rain 14:00–16:00" })]);
+
+    expect(cancelled()).toEqual(["n1", "n2"]);
+    expect(scheduled()).toHaveLength(2);
+    expect((await ledger())[KEY].episodes[0]).toMatchObject({ dismissed: true, reminders: [] });
+  });
+
+  it("leaves taps to the app", async () => {
+    await service.syncAlerts(KEY, [alert()]);
+    await respond(service.ALERT_ACTIONS.open);
+
+    expect(Notifications.dismissNotificationAsync).not.toHaveBeenCalled();
+    expect(scheduled()).toHaveLength(1);
+  });
+});
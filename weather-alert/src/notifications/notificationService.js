@@ -1,7 +1,10 @@
+import { Platform } from "react-native";
+import AsyncStorage from "@react-native-async-storage/async-storage";
 import * as Notifications from "expo-notifications";
 import * as TaskManager from "expo-task-manager";
-import * as BackgroundFetch from "expo-background-fetch";
 import dayjs from "dayjs";
+import { SEVERITIES, maxSeverity } from "../utils/severity";
+import { resolveQuietTime } from "../utils/quietHours";
 
 Notifications.setNotificationHandler({
   handleNotification: async () => ({
@@ -11,8 +14,68 @@ Notifications.setNotificationHandler({
   })
 });
 
-/** Ask for permissions on app start */
+/** One Android channel per severity so users can tune each in system settings */
+const CHANNELS = {
+  advisory: { id: "weather-advisory", importance: Notifications.AndroidImportance.DEFAULT },
+  warning: { id: "weather-warning", importance: Notifications.AndroidImportance.HIGH },
+  severe: { id: "weather-severe", importance: Notifications.AndroidImportance.MAX }
+};
+
+const BRIEFING_CHANNEL = { id: "weather-briefing", importance: Notifications.AndroidImportance.DEFAULT };
+
+async function ensureChannels() {
+  if (Platform.OS !== "android") return;
+  await Promise.all([
+    ...Object.entries(CHANNELS).map(([level, { id, importance }]) =>
+      Notifications.setNotificationChannelAsync(id, {
+        name: `Weather ${SEVERITIES[level].label.toLowerCase()}`,
+        importance,
+        vibrationPattern: level === "advisory" ? undefined : [0, 250, 250, 250]
+      })
+    ),
+    Notifications.setNotificationChannelAsync(BRIEFING_CHANNEL.id, {
+      name: "Daily briefing",
+      importance: BRIEFING_CHANNEL.importance
+    })
+  ]);
+}
+
+/**
+ * Alerts about one episode get action buttons. Every notification's data carries
+ * { url, locationKey, time } (a weatheralert:// link to the place and hour);
+ * episode alerts add { episode: { start, end }, severity } for the actions.
+ */
+const ALERT_CATEGORY = "weather-alert";
+export const ALERT_ACTIONS = { snooze: "snooze", dismiss: "dismiss", open: "open" };
+const SNOOZE_MS = 30 * 60 * 1000;
+const RESPONSE_TASK = "WEATHER_NOTIFICATION_RESPONSE";
+
+async function ensureCategories() {
+  await Notifications.setNotificationCategoryAsync(ALERT_CATEGORY, [
+    {
+      identifier: ALERT_ACTIONS.snooze,
+      buttonTitle: "Snooze 30 min",
+      options: { opensAppToForeground: false }
+    },
+    {
+      identifier: ALERT_ACTIONS.dismiss,
+      buttonTitle: "Dismiss",
+      options: { opensAppToForeground: false, isDestructive: true }
+    },
+    {
+      identifier: ALERT_ACTIONS.open,
+      buttonTitle: "Open forecast",
+      options: { opensAppToForeground: true }
+    }
+  ]);
+}
+
+/** Ask for permissions on app start (Android needs channels before the prompt) */
 export async function askNotificationPermission() {
+  await ensureChannels();
+  await ensureCategories();
+  // Lets Snooze/Dismiss work when the app isn't running
+  await Notifications.registerTaskAsync(RESPONSE_TASK).catch(() => {});
   const settings = await Notifications.getPermissionsAsync();
   if (settings.status !== "granted") {
     const req = await Notifications.requestPermissionsAsync();
@@ -22,44 +85,402 @@ export async function askNotificationPermission() {
   }
 }
 
-/** Schedule a single notification at a Date */
-export async function scheduleWeatherAlert({ when, title, body }) {
+function alertContent({ title, body, severity, data = null }) {
+  const content = { title, body, data: { ...data, severity } };
+  if (data?.episode) content.categoryIdentifier = ALERT_CATEGORY;
+  return content;
+}
+
+/** Schedule a single notification at a Date, on the channel for its severity */
+export async function scheduleWeatherAlert({ when, title, body, severity = "warning", data = null }) {
   if (!when || dayjs(when).isBefore(dayjs())) return null;
+  const channel = CHANNELS[severity] || CHANNELS.warning;
   return Notifications.scheduleNotificationAsync({
-    content: { title, body },
-    trigger: when.toDate()
+    content: alertContent({ title, body, severity, data }),
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date: dayjs(when).toDate(),
+      channelId: channel.id
+    }
+  });
+}
+
+/** Show a notification right away (channel-only trigger = immediately) */
+export async function presentWeatherAlert({ title, body, severity = "warning", data = null }) {
+  const channel = CHANNELS[severity] || CHANNELS.warning;
+  return Notifications.scheduleNotificationAsync({
+    content: alertContent({ title, body, severity, data }),
+    trigger: { channelId: channel.id }
   });
 }
 
 /**
- * (Optional) Background fetch—re-check forecast periodically.
- * iOS may throttle; Android is more relaxed.
+ * Alert ledger: what we've scheduled, per location, so a refresh (or an app
+ * restart) doesn't schedule the same episode twice and a forecast that no
+ * longer shows the episode cancels its pending notifications. Stored as
+ * { [locationKey]: { place, episodes: [{ start, end, severity, title, body, data, label, wet,
+ * reminders, allClear, dismissed? }], summaries } } (`place` names the location)
+ * where a reminder is { at, kind: "push" | "deferred" | "suppressed" | "snooze", id }
+ * (snoozes also keep `from`, the notification they repeat), allClear is the
+ * follow-up { at, title, body, id } and summaries are the merged quiet-hours
+ * notifications { at, body, id }.
  */
-const TASK = "WEATHER_BACKGROUND_CHECK";
+const LEDGER_KEY = "alerts:ledger";
 
-export async function registerBackgroundTask(fn) {
-  // define the task once
-  try {
-    TaskManager.defineTask(TASK, async () => {
-      try {
-        await fn(); // your check+schedule logic
-        return BackgroundFetch.BackgroundFetchResult.NewData;
-      } catch (e) {
-        return BackgroundFetch.BackgroundFetchResult.Failed;
+let ledgerPromise = null;
+let ledgerChain = Promise.resolve();
+
+function loadLedger() {
+  if (!ledgerPromise) {
+    ledgerPromise = AsyncStorage.getItem(LEDGER_KEY)
+      .then((s) => (s ? JSON.parse(s) : {}))
+      .catch(() => ({}));
+  }
+  return ledgerPromise;
+}
+
+/** Serialize ledger changes; `mutate` may be async and returns a result */
+function updateLedger(mutate) {
+  const run = ledgerChain.then(async () => {
+    const ledger = await loadLedger();
+    const result = await mutate(ledger);
+    await AsyncStorage.setItem(LEDGER_KEY, JSON.stringify(ledger)).catch(() => {});
+    return result;
+  });
+  ledgerChain = run.catch(() => {});
+  return run;
+}
+
+const overlaps = (a, b) =>
+  Date.parse(a.start) < Date.parse(b.end) && Date.parse(b.start) < Date.parse(a.end);
+
+const isPending = (item, now) => Date.parse(item.at) > now;
+const signature = (reminders) =>
+  reminders
+    .map((r) => `${r.at}|${r.kind}`)
+    .sort()
+    .join();
+
+async function cancelIds(ids = []) {
+  await Promise.all(
+    ids.filter(Boolean).map((id) => Notifications.cancelScheduledNotificationAsync(id).catch(() => {}))
+  );
+}
+
+/** Future reminder times after quiet hours: pushed, moved to the window's end, or dropped */
+export function planReminders(alert, quietHours, now) {
+  const plan = new Map();
+  alert.times.forEach((t) => {
+    if (dayjs(t).valueOf() <= now) return;
+    const r = resolveQuietTime(dayjs(t).toDate(), alert.severity, quietHours);
+    // A summary after the episode is over isn't worth waking anyone for
+    if (r.kind === "deferred" && Date.parse(r.at) >= Date.parse(alert.end)) return;
+    plan.set(`${r.at}|${r.kind}`, r);
+  });
+  return [...plan.values()];
+}
+
+/**
+ * Make the scheduled notifications for a location match `alerts`
+ * ([{ start, end, times, title, body, severity, data, label, wet }], one per episode,
+ * `times` being the reminder moments). Episodes are matched to ledger entries by time overlap:
+ * unchanged ones are left alone, changed ones rescheduled, vanished ones cancelled.
+ * Reminders that have already fired are never sent again; an episode that starts
+ * sooner than every reminder is notified right away, once. Dismissed episodes
+ * stay silent and snoozes survive a reschedule.
+ * Inside `quietHours` reminders are deferred (merged into one summary per window)
+ * or suppressed, per the settings.
+ * With `allClear` (entry, atISO) => { title, body }, episodes people were alerted
+ * about get a follow-up when they end, or right away if a newer forecast drops them.
+ * `place` names the location in quiet-hours summaries.
+ */
+export function syncAlerts(
+  locationKey,
+  alerts,
+  { quietHours = null, allClear = null, place = null } = {}
+) {
+  return updateLedger(async (ledger) => {
+    const now = Date.now();
+    const previous = ledger[locationKey]?.episodes ?? [];
+    const unmatched = new Set(previous);
+    const next = [];
+
+    for (const alert of alerts) {
+      const entry = previous.find((e) => unmatched.has(e) && overlaps(e, alert));
+      if (entry) unmatched.delete(entry);
+      const synced = await syncEpisode(entry, alert, quietHours, now);
+      synced.allClear = await planAllClear(synced, entry?.allClear, allClear, quietHours, now);
+      next.push(synced);
+    }
+
+    // Episodes the forecast no longer shows: cancel anything still pending, and
+    // tell people who were warned about one that it's off
+    for (const entry of unmatched) {
+      const items = [...(entry.reminders ?? []), entry.allClear].filter(Boolean);
+      await cancelIds(items.filter((r) => isPending(r, now)).map((r) => r.id));
+
+      const warned = (entry.reminders ?? []).some((r) => !isPending(r, now) && r.kind !== "suppressed");
+      if (allClear && warned && !entry.dismissed && Date.parse(entry.end) > now) {
+        const at = new Date(now).toISOString();
+        if (resolveQuietTime(at, "advisory", quietHours).kind === "push") {
+          const { title, body } = allClear(entry, at);
+          await presentWeatherAlert({ title, body, severity: "advisory", data: linkData(entry.data) });
+        }
       }
-    });
-  } catch (_) { /* already defined */ }
+    }
+
+    const summaries = await syncSummaries(ledger[locationKey]?.summaries ?? [], next, now, place);
+    if (next.length || summaries.length) ledger[locationKey] = { place, episodes: next, summaries };
+    else delete ledger[locationKey];
+    return next;
+  });
+}
+
+/** The ledger entry for `alert`, (re)scheduling its reminders if they changed */
+async function syncEpisode(entry, alert, quietHours, now) {
+  const { start, end, severity, title, body, data = null, label = null, wet = false } = alert;
+  if (entry?.dismissed) return { ...entry, start, end };
+
+  const reminders = entry?.reminders ?? [];
+  const sent = reminders.filter((r) => !isPending(r, now));
+  const snoozed = reminders.filter((r) => isPending(r, now) && r.kind === "snooze");
+  const pending = reminders.filter((r) => isPending(r, now) && r.kind !== "snooze");
+  const plan = planReminders(alert, quietHours, now);
 
-  const status = await BackgroundFetch.getStatusAsync();
-  if (status === BackgroundFetch.BackgroundFetchStatus.Restricted ||
-      status === BackgroundFetch.BackgroundFetchStatus.Denied) {
-    return false;
+  const unchanged =
+    entry &&
+    entry.title === title &&
+    entry.body === body &&
+    entry.severity === severity &&
+    signature(pending) === signature(plan);
+  if (unchanged) return { ...entry, start, end, data, label, wet };
+
+  await cancelIds(pending.map((r) => r.id));
+  const scheduled = [...sent, ...snoozed];
+  for (const r of plan) {
+    const id = r.kind === "push" ? await scheduleWeatherAlert({ ...alert, when: r.at }) : null;
+    scheduled.push({ ...r, id });
+  }
+  if (!scheduled.length && Date.parse(end) > now) {
+    const r = resolveQuietTime(new Date(now), severity, quietHours);
+    if (r.kind === "push") scheduled.push({ ...r, id: await presentWeatherAlert(alert) });
+    else if (r.kind === "suppressed" || Date.parse(r.at) < Date.parse(end)) {
+      scheduled.push({ ...r, id: null });
+    }
   }
+  return { start, end, severity, title, body, data, label, wet, reminders: scheduled };
+}
+
+/**
+ * The all-clear for an episode, due when it ends: only if someone was (or will be)
+ * alerted about it, and never during quiet hours. Resolves to { at, title, body, id } or null.
+ */
+async function planAllClear(entry, previous, describe, quietHours, now) {
+  const pending = previous && isPending(previous, now) ? previous : null;
+  const alerted = !entry.dismissed && entry.reminders.some((r) => r.kind !== "suppressed");
+  const want =
+    describe &&
+    alerted &&
+    Date.parse(entry.end) > now &&
+    resolveQuietTime(entry.end, "advisory", quietHours).kind === "push"
+      ? { at: entry.end, ...describe(entry, entry.end) }
+      : null;
 
-  await BackgroundFetch.registerTaskAsync(TASK, {
-    minimumInterval: 15 * 60, // 15 minutes (best effort)
-    stopOnTerminate: false,
-    startOnBoot: true
+  const same = pending && want && ["at", "title", "body"].every((k) => pending[k] === want[k]);
+  if (same) return pending;
+  if (pending) await cancelIds([pending.id]);
+  if (!want) return pending ? null : previous ?? null; // keep the record of one that fired
+  const { at, title, body } = want;
+  const id = await scheduleWeatherAlert({
+    when: at,
+    title,
+    body,
+    severity: "advisory",
+    data: linkData(entry.data)
   });
+  return { ...want, id };
+}
+
+/** Notification data without the episode, so it gets no Snooze/Dismiss actions */
+function linkData(data) {
+  if (!data) return null;
+  const { episode, ...rest } = data;
+  return rest;
+}
+
+/** One notification per quiet window end, listing every alert deferred to it */
+async function syncSummaries(previous, episodes, now, place = null) {
+  const groups = new Map();
+  episodes.forEach((ep) =>
+    ep.reminders
+      .filter((r) => r.kind === "deferred" && isPending(r, now))
+      .forEach((r) => {
+        // Tapping the summary opens the earliest episode in it
+        const group = groups.get(r.at) ?? { at: r.at, severity: null, lines: new Set(), data: null };
+        if (!group.data) group.data = linkData(ep.data);
+        group.severity = maxSeverity(group.severity, ep.severity);
+        group.lines.add(ep.body);
+        groups.set(r.at, group);
+      })
+  );
+
+  const pending = previous.filter((s) => isPending(s, now));
+  const next = [];
+  for (const { at, severity, lines, data } of groups.values()) {
+    const body = [...lines].join("\n");
+    const existing = pending.find((s) => s.at === at && s.body === body);
+    if (existing) {
+      next.push(existing);
+      continue;
+    }
+    const what =
+      lines.size > 1 ? `${lines.size} weather alerts during quiet hours` : SEVERITIES[severity].title;
+    const title = place ? `${what} · ${place}` : what;
+    next.push({ at, body, id: await scheduleWeatherAlert({ when: at, title, body, severity, data }) });
+  }
+  await cancelIds(pending.filter((s) => !next.includes(s)).map((s) => s.id));
+  return next;
+}
+
+const findEntry = (ledger, locationKey, episode) =>
+  episode ? (ledger[locationKey]?.episodes ?? []).find((e) => overlaps(e, episode)) : null;
+
+/**
+ * Notifications already snoozed, newest last. Kept apart from the ledger because
+ * the same response can arrive through both the listener and the task, and the
+ * episode it belongs to may be gone from the ledger by then.
+ */
+const SNOOZED_KEY = "alerts:snoozed";
+const SNOOZED_MAX = 50;
+
+/** Record `notificationId` as snoozed; false when it already was */
+async function markSnoozed(notificationId) {
+  const snoozed = await AsyncStorage.getItem(SNOOZED_KEY)
+    .then((s) => (s ? JSON.parse(s) : []))
+    .catch(() => []);
+  if (snoozed.includes(notificationId)) return false;
+  const next = [...snoozed, notificationId].slice(-SNOOZED_MAX);
+  await AsyncStorage.setItem(SNOOZED_KEY, JSON.stringify(next)).catch(() => {});
   return true;
 }
+
+/** Repeat an alert in 30 minutes; handled at most once per notification */
+function snoozeAlert(notificationId, content) {
+  const { locationKey, episode, severity } = content.data ?? {};
+  // Runs in the ledger queue so two deliveries of one response can't interleave
+  return updateLedger(async (ledger) => {
+    const entry = findEntry(ledger, locationKey, episode);
+    if (entry?.dismissed || !(await markSnoozed(notificationId))) return null;
+
+    const at = new Date(Date.now() + SNOOZE_MS).toISOString();
+    const { title, body, data } = content;
+    const id = await scheduleWeatherAlert({ when: at, title, body, severity, data });
+    entry?.reminders.push({ at, kind: "snooze", id, from: notificationId });
+    return id;
+  });
+}
+
+/** Cancel the rest of an episode's reminders and keep later syncs from rescheduling them */
+function dismissEpisode({ locationKey, episode } = {}) {
+  return updateLedger(async (ledger) => {
+    const entry = findEntry(ledger, locationKey, episode);
+    if (!entry) return null;
+    const now = Date.now();
+    const items = [...entry.reminders, entry.allClear].filter(Boolean);
+    await cancelIds(items.filter((r) => isPending(r, now)).map((r) => r.id));
+    entry.reminders = entry.reminders.filter((r) => !isPending(r, now));
+    entry.allClear = null;
+    entry.dismissed = true;
+    const { place = null, episodes, summaries = [] } = ledger[locationKey];
+    ledger[locationKey].summaries = await syncSummaries(summaries, episodes, now, place);
+    return entry;
+  });
+}
+
+/**
+ * Act on Snooze/Dismiss. Taps and "Open forecast" are left to the app, which
+ * opens the link in the notification's data.
+ */
+export async function handleNotificationResponse(response) {
+  const { actionIdentifier, notification } = response ?? {};
+  const request = notification?.request;
+  if (!request) return;
+  if (actionIdentifier === ALERT_ACTIONS.snooze) await snoozeAlert(request.identifier, request.content);
+  else if (actionIdentifier === ALERT_ACTIONS.dismiss) await dismissEpisode(request.content.data);
+  else return;
+  await Notifications.dismissNotificationAsync(request.identifier).catch(() => {});
+}
+
+// Responses arrive through the listener while the app runs and through the
+// task (registered in askNotificationPermission) when it doesn't
+TaskManager.defineTask(RESPONSE_TASK, async ({ data }) => {
+  if (data?.actionIdentifier) await handleNotificationResponse(data);
+});
+Notifications.addNotificationResponseReceivedListener((response) => {
+  handleNotificationResponse(response).catch(() => {});
+});
+
+/** Cancel and forget alerts for locations not in `locationKeys` */
+export function retainAlertLocations(locationKeys) {
+  const keep = new Set(locationKeys);
+  return updateLedger(async (ledger) => {
+    const now = Date.now();
+    for (const key of Object.keys(ledger)) {
+      if (keep.has(key)) continue;
+      const { episodes = [], summaries = [] } = ledger[key];
+      const items = episodes
+        .flatMap((e) => [...(e.reminders ?? []), e.allClear])
+        .concat(summaries)
+        .filter(Boolean);
+      await cancelIds(items.filter((r) => isPending(r, now)).map((r) => r.id));
+      delete ledger[key];
+    }
+  });
+}
+
+/**
+ * The daily briefing is a single one-off notification, replaced whenever it's
+ * recomputed so it carries the latest forecast when it fires.
+ * Stored as { at, title, body, id }.
+ */
+const BRIEFING_KEY = "alerts:briefing";
+
+/** Schedule `briefing` ({ at, title, body, data }), replacing the previous one; null cancels it */
+export async function syncBriefing(briefing) {
+  let previous = null;
+  try {
+    const s = await AsyncStorage.getItem(BRIEFING_KEY);
+    previous = s ? JSON.parse(s) : null;
+  } catch {}
+
+  const now = Date.now();
+  const pending = previous && isPending(previous, now) ? previous : null;
+  if (
+    pending &&
+    briefing &&
+    pending.at === briefing.at &&
+    pending.title === briefing.title &&
+    pending.body === briefing.body
+  ) {
+    return pending;
+  }
+
+  if (pending) await cancelIds([pending.id]);
+  let next = null;
+  if (briefing && Date.parse(briefing.at) > now) {
+    const id = await Notifications.scheduleNotificationAsync({
+      content: { title: briefing.title, body: briefing.body, data: briefing.data ?? {} },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: new Date(briefing.at),
+        channelId: BRIEFING_CHANNEL.id
+      }
+    });
+    next = { at: briefing.at, title: briefing.title, body: briefing.body, id };
+  }
+  try {
+    if (next) await AsyncStorage.setItem(BRIEFING_KEY, JSON.stringify(next));
+    else await AsyncStorage.removeItem(BRIEFING_KEY);
+  } catch {}
+  return next;
+}
@@ -0,0 +1,275 @@
+// src/services/alertCheck.js
+// Forecast -> scheduled alerts without any React state, so the app (useWeather)
+// and the headless background task run exactly the same logic.
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as TaskManager from "expo-task-manager";
+import * as BackgroundFetch from "expo-background-fetch";
+import dayjs from "dayjs";
+import { getWeather, getHourlyForecast } from "./weather";
+import { readCache, writeCache, cacheKeyFor } from "./cache";
+import { loadSettings } from "./settings";
+import { loadLastLocation, loadSavedPlaces } from "./places";
+import {
+  syncAlerts,
+  retainAlertLocations,
+  syncBriefing,
+} from "../notifications/notificationService";
+import { findBadWeatherEpisodes, describeEpisode } from "../utils/weatherLogic";
+import { getProfile, rulesForProfile } from "../utils/activityProfiles";
+import { SEVERITIES, severityRank } from "../utils/severity";
+import { normalizeLeadTimes } from "../utils/leadTimes";
+import { buildBriefing, nextBriefingTime } from "../utils/briefing";
+import { forecastLink } from "../utils/deepLinks";
+
+const BACKGROUND_TASK = "WEATHER_BACKGROUND_CHECK";
+const LAST_RUN_KEY = "bg:lastRun";
+// Slots getWeather returns (now + 6 hours): what alerts are assessed on
+const ALERT_SLOTS = 7;
+
+/**
+ * Places that get alerts, as [{ key, lat, lon, city, name }]: the current location
+ * (the last one the app showed) unless switched off, and saved locations with
+ * alerts on. One entry per cache key; a saved location's name wins.
+ */
+export function alertTargets(current, favourites, settings) {
+  const targets = new Map();
+  const named = new Map(favourites.map((f) => [cacheKeyFor(f.lat, f.lon), f.name]));
+  favourites
+    .filter((f) => f.alerts)
+    .forEach((f) => {
+      const key = cacheKeyFor(f.lat, f.lon);
+      targets.set(key, { key, lat: f.lat, lon: f.lon, city: f.city ?? null, name: f.name });
+    });
+  if (current && settings.currentLocationAlerts !== false) {
+    const key = cacheKeyFor(current.lat, current.lon);
+    if (!targets.has(key)) {
+      const { lat, lon, city = null } = current;
+      targets.set(key, { key, lat, lon, city, name: named.get(key) ?? city });
+    }
+  }
+  return [...targets.values()];
+}
+
+async function loadAlertTargets() {
+  const [settings, current, { favourites }] = await Promise.all([
+    loadSettings(),
+    loadLastLocation(),
+    loadSavedPlaces(),
+  ]);
+  return { settings, current, targets: alertTargets(current, favourites, settings) };
+}
+
+/**
+ * A place was just fetched: schedule its alerts if it gets any, and cancel alerts
+ * for places that no longer do. Without a forecast this only does the latter.
+ * Resolves to the place's ledger entries ([] if it gets no alerts).
+ */
+export async function updateAlertsForPlace(place, forecast) {
+  const { settings, targets } = await loadAlertTargets();
+  await retainAlertLocations(targets.map((t) => t.key));
+  const target = place && targets.find((t) => t.key === cacheKeyFor(place.lat, place.lon));
+  if (!target || !forecast?.length) return [];
+  return scheduleAlertsForForecast(target.key, forecast, settings, target);
+}
+
+/**
+ * Schedule (or reschedule/cancel) alerts for a location's forecast: one per
+ * episode, reminding at each of the user's lead times, if it's severe enough to push.
+ * `place` ({ lat, lon, city, name }) goes into each notification's link and text.
+ * Resolves to the ledger entries for the location.
+ */
+export async function scheduleAlertsForForecast(key, forecast, settings, place) {
+  const rules = rulesForProfile(settings);
+  const profile = getProfile(settings.activeProfile);
+  const leadTimes = normalizeLeadTimes(settings.leadTimesMin);
+  const episodes = findBadWeatherEpisodes(forecast, rules);
+  const alerts = episodes
+    .filter((ep) => severityRank(ep.severity) >= severityRank(settings.minPushSeverity))
+    .map((ep) => {
+      const { title: level } = SEVERITIES[ep.severity];
+      const title = profile.id === "general" ? level : `${level} for ${profile.label.toLowerCase()}`;
+      return {
+        start: ep.start,
+        end: ep.end,
+        severity: ep.severity,
+        times: leadTimes.map((min) => dayjs(ep.start).subtract(min, "minute")),
+        title: place?.name ? `${title} · ${place.name}` : title,
+        body: `${describeEpisode(ep)}. ${ep.advice}`,
+        label: ep.reasons[0],
+        wet: ep.slots.some((s) => s.precipType),
+        data: {
+          url: forecastLink({ ...place, time: ep.start }),
+          locationKey: key,
+          time: ep.start,
+          episode: { start: ep.start, end: ep.end },
+        },
+      };
+    });
+
+  return syncAlerts(key, alerts, {
+    quietHours: settings.quietHours,
+    allClear: settings.allClear ? describeAllClear(episodes, place) : null,
+    place: place?.name ?? null,
+  });
+}
+
+/** "Rain has cleared in Dublin — dry until 18:00", looking ahead to the next episode */
+function describeAllClear(episodes, place) {
+  const city = place?.city ?? place?.name;
+  return (entry, at) => {
+    const what = entry.label ? entry.label.charAt(0).toUpperCase() + entry.label.slice(1) : "Bad weather";
+    const next = episodes.find((ep) => Date.parse(ep.start) >= Date.parse(at));
+    const state = entry.wet ? "dry" : "clear";
+    const outlook = next
+      ? `${state} until ${dayjs(next.start).format("HH:mm")}`
+      : `${state} for the next few hours`;
+    return {
+      title: place?.name ? `All clear · ${place.name}` : "All clear",
+      body: `${what} has cleared${city ? ` in ${city}` : ""} — ${outlook}`,
+    };
+  };
+}
+
+/** Hourly slots the briefing needs (from now to the end of its day), or 0 when it's off */
+function briefingHours(settings) {
+  if (!settings.briefing?.enabled) return 0;
+  const at = nextBriefingTime(settings.briefing.time);
+  return Math.min(48, Math.ceil(dayjs(at).endOf("day").diff(dayjs(), "hour", true)) + 1);
+}
+
+/**
+ * (Re)compute the daily briefing for `location` ({ lat, lon, city }) and schedule it
+ * for its next due time, or cancel it when turned off. Uses `forecast` (hourly slots
+ * from now) when the caller already fetched one, otherwise fetches.
+ * Resolves to the scheduled briefing { at, title, body, id } or null.
+ */
+export async function scheduleBriefing(location, settings, forecast = null) {
+  const hours = briefingHours(settings);
+  if (!hours || !location) return syncBriefing(null);
+
+  const at = nextBriefingTime(settings.briefing.time);
+  if (!forecast) ({ forecast } = await getHourlyForecast(location.lat, location.lon, hours));
+  const briefing = buildBriefing(forecast, rulesForProfile(settings), {
+    at,
+    place: location.city ?? null,
+  });
+  return syncBriefing(
+    briefing && { ...briefing, at: at.toISOString(), data: { url: forecastLink(location) } }
+  );
+}
+
+/**
+ * Headless check: fetch, cache, assess and schedule every place that gets alerts,
+ * then refresh the daily briefing for the last location the app showed.
+ * Records the outcome under "bg:lastRun" and resolves to it.
+ */
+export async function runBackgroundCheck() {
+  const run = { at: Date.now(), ok: false, error: null, provider: null, alerts: 0, place: null };
+  try {
+    const { settings, current, targets } = await loadAlertTargets();
+    if (!current && !targets.length) throw new Error("No location yet: open the app once.");
+    await retainAlertLocations(targets.map((t) => t.key));
+    run.place = targets.length
+      ? targets.map((t) => t.name ?? `${t.lat.toFixed(2)}, ${t.lon.toFixed(2)}`).join(", ")
+      : current.city ?? `${current.lat.toFixed(2)}, ${current.lon.toFixed(2)}`;
+
+    // The briefing place's check fetches far enough ahead for the briefing too
+    const briefingKey = current ? cacheKeyFor(current.lat, current.lon) : null;
+    const hours = briefingHours(settings);
+
+    const errors = [];
+    const results = await Promise.all(
+      targets.map((target) =>
+        checkPlace(target, settings, target.key === briefingKey ? hours : 0).catch((e) => {
+          errors.push(`${target.name ?? target.key}: ${e.message ?? e}`);
+          return null;
+        })
+      )
+    );
+    try {
+      const hourly = results.find((r) => r?.key === briefingKey)?.hourly ?? null;
+      await scheduleBriefing(current, settings, hourly);
+    } catch (e) {
+      errors.push(`Daily briefing: ${e.message ?? e}`);
+    }
+
+    const checked = results.filter(Boolean);
+    if (errors.length && !checked.length) throw new Error(errors.join(" | "));
+    run.ok = true;
+    run.error = errors.length ? errors.join(" | ") : null;
+    run.provider = checked[0]?.provider ?? null;
+    run.alerts = checked
+      .flatMap((r) => r.entries)
+      .flatMap((e) => e.reminders)
+      .filter((r) => r.kind !== "suppressed" && Date.parse(r.at) > Date.now()).length;
+  } catch (e) {
+    run.error = e.message ?? String(e);
+  }
+  try {
+    await AsyncStorage.setItem(LAST_RUN_KEY, JSON.stringify(run));
+  } catch {}
+  return run;
+}
+
+/**
+ * Fetch, cache and schedule one place. With `hours` (the briefing place) one longer
+ * hourly fetch serves both, and its slots come back as `hourly`.
+ */
+async function checkPlace(target, settings, hours = 0) {
+  let data;
+  let hourly = null;
+  if (hours > ALERT_SLOTS) {
+    const { forecast, provider } = await getHourlyForecast(target.lat, target.lon, hours);
+    hourly = forecast;
+    data = { current: forecast[0], forecast: forecast.slice(0, ALERT_SLOTS), provider };
+  } else {
+    data = await getWeather(target.lat, target.lon);
+  }
+  // Keep the daily outlook the app cached; the background only refreshes hourly data
+  const cached = await readCache(target.key);
+  await writeCache(target.key, {
+    ...data,
+    daily: cached?.data?.daily ?? [],
+    dailyAt: cached?.data?.dailyAt ?? 0,
+  });
+  const entries = await scheduleAlertsForForecast(target.key, data.forecast, settings, target);
+  return { key: target.key, provider: data.provider ?? null, entries, hourly };
+}
+
+/** Outcome of the most recent background run, or null if it never ran */
+export async function getLastBackgroundRun() {
+  try {
+    const s = await AsyncStorage.getItem(LAST_RUN_KEY);
+    return s ? JSON.parse(s) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Defined at module load (index.js imports this file) so the OS can run the
+// task when it launches the app headless, before any component mounts
+TaskManager.defineTask(BACKGROUND_TASK, async () => {
+  const run = await runBackgroundCheck();
+  return run.ok
+    ? BackgroundFetch.BackgroundFetchResult.NewData
+    : BackgroundFetch.BackgroundFetchResult.Failed;
+});
+
+/** Ask the OS to run the check periodically (best effort; iOS throttles). Resolves to success */
+export async function registerBackgroundCheck() {
+  const status = await BackgroundFetch.getStatusAsync();
+  if (
+    status === BackgroundFetch.BackgroundFetchStatus.Restricted ||
+    status === BackgroundFetch.BackgroundFetchStatus.Denied
+  ) {
+    return false;
+  }
+  if (await TaskManager.isTaskRegisteredAsync(BACKGROUND_TASK)) return true;
+
+  await BackgroundFetch.registerTaskAsync(BACKGROUND_TASK, {
+    minimumInterval: 15 * 60, // 15 minutes (best effort)
+    stopOnTerminate: false,
+    startOnBoot: true,
+  });
+  return true;
+}
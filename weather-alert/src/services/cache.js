@@ -1,24 +1,134 @@
 import AsyncStorage from "@react-native-async-storage/async-storage";
+import { distanceKm } from "../utils/geo";
 
-/** Round to ~city granularity + hour so we reuse cache nearby and per hour */
+// Entries are { t, ttl, data } under "wx:<lat>,<lon>". An index of
+// { key: { t, a } } (saved / last accessed) drives expiry and LRU eviction.
+const PREFIX = "wx:";
+const INDEX_KEY = "wx-index";
+const DEFAULT_TTL_MS = 30 * 60 * 1000; // fresh for 30 min, stale after
+const MAX_AGE_MS = 24 * 60 * 60 * 1000; // dropped entirely after a day
+const MAX_ENTRIES = 30;
+
+/** Round to ~city granularity so nearby fixes share an entry */
 export const cacheKeyFor = (lat, lon) =>
-  `wx:${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}:${new Date()
-    .toISOString()
-    .slice(0, 13)}`; // YYYY-MM-DDTHH
+  `${PREFIX}${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+
+let indexPromise = null;
+let writeChain = Promise.resolve();
+
+function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = AsyncStorage.getItem(INDEX_KEY)
+      .then((s) => (s ? JSON.parse(s) : {}))
+      .catch(() => ({}));
+  }
+  return indexPromise;
+}
+
+/** Serialize index mutations so concurrent writes don't clobber each other */
+function updateIndex(mutate) {
+  writeChain = writeChain
+    .then(async () => {
+      const index = await loadIndex();
+      const removed = mutate(index) || [];
+      await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index));
+      if (removed.length) await AsyncStorage.multiRemove(removed);
+    })
+    .catch(() => {});
+  return writeChain;
+}
+
+/** Drop expired entries, then least-recently-used ones beyond the cap. Returns removed keys. */
+function evict(index, now = Date.now()) {
+  const removed = [];
+  Object.keys(index).forEach((key) => {
+    if (now - index[key].t > MAX_AGE_MS) {
+      delete index[key];
+      removed.push(key);
+    }
+  });
+  const byAccess = Object.keys(index).sort((a, b) => index[a].a - index[b].a);
+  while (byAccess.length > MAX_ENTRIES) {
+    const key = byAccess.shift();
+    delete index[key];
+    removed.push(key);
+  }
+  return removed;
+}
 
-export async function saveWeather(key, data) {
+export async function writeCache(key, data, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  const t = Date.now();
   try {
-    await AsyncStorage.setItem(key, JSON.stringify({ t: Date.now(), data }));
+    await AsyncStorage.setItem(key, JSON.stringify({ t, ttl: ttlMs, data }));
+    await updateIndex((index) => {
+      index[key] = { t, a: t };
+      return evict(index, t);
+    });
   } catch {}
 }
 
-export async function loadWeather(key) {
+/**
+ * Read an entry with its age. Returns { data, savedAt, ageMs, isStale } or null.
+ * Stale entries are still returned (for stale-while-revalidate); expired ones are not.
+ */
+export async function readCache(key) {
   try {
     const s = await AsyncStorage.getItem(key);
     if (!s) return null;
-    const parsed = JSON.parse(s);
-    return parsed?.data ?? null;
+    const { t, ttl = DEFAULT_TTL_MS, data } = JSON.parse(s);
+    const ageMs = Date.now() - t;
+    if (!data || ageMs > MAX_AGE_MS) {
+      removeCache(key);
+      return null;
+    }
+    updateIndex((index) => {
+      index[key] = { t, a: Date.now() };
+    });
+    return { data, savedAt: t, ageMs, isStale: ageMs > ttl };
   } catch {
     return null;
   }
 }
+
+/**
+ * Most recent usable entry near a point, for offline fallback.
+ * Returns readCache()'s result plus { key, distanceKm }, or null.
+ */
+export async function findNearestCache(lat, lon, { maxDistanceKm = 25 } = {}) {
+  const index = await loadIndex();
+  const candidates = Object.keys(index)
+    .map((key) => {
+      const [kLat, kLon] = key.slice(PREFIX.length).split(",").map(Number);
+      return { key, t: index[key].t, d: distanceKm(lat, lon, kLat, kLon) };
+    })
+    .filter((c) => Number.isFinite(c.d) && c.d <= maxDistanceKm)
+    // Freshest first; distance breaks ties between same-age entries
+    .sort((a, b) => b.t - a.t || a.d - b.d);
+
+  for (const c of candidates) {
+    const hit = await readCache(c.key);
+    if (hit) return { ...hit, key: c.key, distanceKm: c.d };
+  }
+  return null;
+}
+
+export async function removeCache(key) {
+  await updateIndex((index) => {
+    delete index[key];
+    return [key];
+  });
+}
+
+/**
+ * Housekeeping: expire/evict, and delete orphaned "wx:" keys
+ * (including the old per-hour "wx:lat,lon:YYYY-MM-DDTHH" entries).
+ */
+export async function pruneCache() {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    await updateIndex((index) => {
+      const orphans = keys.filter((k) => k.startsWith(PREFIX) && !index[k]);
+      return [...orphans, ...evict(index)];
+    });
+  } catch {}
+}
@@ -1,6 +1,14 @@
 // src/services/geocode.js
-// Forward geocoding with timeout, cancellation, and two providers.
+// Forward geocoding with timeout, cancellation, and provider failover (Nominatim, Photon, Open-Meteo).
 // Works in Expo Go (no API keys). Returns [{ label, lat, lon, city, country }]
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { distanceKm } from "../utils/geo";
+import {
+  parseCoordinateQuery,
+  recoverPlusCode,
+  formatCoords,
+  InvalidCoordinatesError,
+} from "../utils/coordinates";
 
 function normalizeItem(item) {
   const a = item.address || {};
@@ -31,31 +39,190 @@ function normalizeItem(item) {
 async function fetchJsonWithTimeout(url, { signal, headers = {}, timeoutMs = 8000 } = {}) {
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), timeoutMs);
+  // Honour both the caller's signal and our timeout, so a hung provider can't stall failover
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener?.("abort", onAbort);
   try {
     const res = await fetch(url, {
-      signal: signal || controller.signal,
+      signal: controller.signal,
       headers,
     });
     clearTimeout(id);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.status = res.status;
+      err.retryAfter = res.headers?.get?.("Retry-After") ?? null;
+      throw err;
+    }
     return await res.json();
   } finally {
     clearTimeout(id);
+    signal?.removeEventListener?.("abort", onAbort);
   }
 }
 
+/* ---------- Request scheduler ----------
+ * Every geocoding request goes through here:
+ *  - per-host spacing (Nominatim's policy is max 1 request/second),
+ *  - identical in-flight URLs share one request,
+ *  - results cached in memory and on disk,
+ *  - HTTP 429 blocks the host until Retry-After (or an escalating backoff),
+ *    failing fast meanwhile so searchPlaces moves on to the next provider.
+ */
+const USER_AGENT = "weather-alert-app/1.0 (github.com/daveranola/nasa-app-ver-2)";
+const HOST_MIN_INTERVAL_MS = {
+  "nominatim.openstreetmap.org": 1100,
+  "photon.komoot.io": 300,
+  "geocoding-api.open-meteo.com": 100,
+};
+const DEFAULT_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MEMORY_CACHE_MAX = 200;
+const DISK_CACHE_KEY = "geocode-cache";
+const DISK_CACHE_MAX = 100;
+
+const hosts = {}; // host -> { queue: Promise, nextAt, blockedUntil, strikes }
+const inflight = new Map(); // url -> { promise, waiters }
+const memoryCache = new Map(); // url -> { t, data }
+let diskCachePromise = null;
+let diskSaveTimer = null;
+
+function hostState(host) {
+  if (!hosts[host]) hosts[host] = { queue: Promise.resolve(), nextAt: 0, blockedUntil: 0, strikes: 0 };
+  return hosts[host];
+}
+
+function abortError() {
+  const err = new Error("Aborted");
+  err.name = "AbortError";
+  return err;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function loadDiskCache() {
+  if (!diskCachePromise) {
+    diskCachePromise = AsyncStorage.getItem(DISK_CACHE_KEY)
+      .then((s) => (s ? JSON.parse(s) : {}))
+      .catch(() => ({}));
+  }
+  return diskCachePromise;
+}
+
+async function cacheGet(url) {
+  const now = Date.now();
+  const mem = memoryCache.get(url);
+  if (mem && now - mem.t < CACHE_TTL_MS) return mem.data;
+  const disk = (await loadDiskCache())[url];
+  if (disk && now - disk.t < CACHE_TTL_MS) {
+    memoryCache.set(url, disk);
+    return disk.data;
+  }
+  return undefined;
+}
+
+async function cacheSet(url, data) {
+  const entry = { t: Date.now(), data };
+  memoryCache.delete(url);
+  memoryCache.set(url, entry);
+  if (memoryCache.size > MEMORY_CACHE_MAX) memoryCache.delete(memoryCache.keys().next().value);
+
+  const disk = await loadDiskCache();
+  disk[url] = entry;
+  // Debounced write; keep only the newest entries
+  clearTimeout(diskSaveTimer);
+  diskSaveTimer = setTimeout(() => {
+    const keep = Object.keys(disk)
+      .sort((a, b) => disk[b].t - disk[a].t)
+      .slice(0, DISK_CACHE_MAX);
+    const trimmed = {};
+    keep.forEach((k) => (trimmed[k] = disk[k]));
+    diskCachePromise = Promise.resolve(trimmed);
+    AsyncStorage.setItem(DISK_CACHE_KEY, JSON.stringify(trimmed)).catch(() => {});
+  }, 1000);
+}
+
+function retryAfterMs(header, strikes) {
+  if (header != null) {
+    const secs = Number(header);
+    if (Number.isFinite(secs)) return secs * 1000;
+    const at = Date.parse(header);
+    if (Number.isFinite(at)) return Math.max(0, at - Date.now());
+  }
+  return Math.min(MAX_BACKOFF_MS, DEFAULT_BACKOFF_MS * 2 ** (strikes - 1));
+}
+
+/** Queue a request on its host, respecting spacing and backoff. Skipped if every waiter gave up. */
+function enqueue(url, job, opts) {
+  const host = url.match(/^https?:\/\/([^/?#]+)/i)?.[1] ?? "";
+  const state = hostState(host);
+  const run = state.queue.then(async () => {
+    if (job.waiters === 0) throw abortError();
+    if (state.blockedUntil > Date.now()) throw new Error(`${host} is rate limiting us; try again shortly`);
+    const wait = state.nextAt - Date.now();
+    if (wait > 0) await sleep(wait);
+    if (job.waiters === 0) throw abortError();
+
+    try {
+      const data = await fetchJsonWithTimeout(url, opts);
+      state.strikes = 0;
+      return data;
+    } catch (e) {
+      if (e.status === 429) {
+        state.strikes += 1;
+        state.blockedUntil = Date.now() + retryAfterMs(e.retryAfter, state.strikes);
+      }
+      throw e;
+    } finally {
+      state.nextAt = Date.now() + (HOST_MIN_INTERVAL_MS[host] ?? 0);
+    }
+  });
+  state.queue = run.catch(() => {});
+  return run;
+}
+
+/** Resolve with the shared promise, or reject as soon as this caller aborts */
+function waitFor(job, signal) {
+  job.waiters += 1;
+  if (!signal) return job.promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      job.waiters -= 1;
+      reject(abortError());
+    };
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort);
+    job.promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+async function scheduledFetchJson(url, { signal, headers = {}, timeoutMs = 8000 } = {}) {
+  const cached = await cacheGet(url);
+  if (cached !== undefined) return cached;
+  if (signal?.aborted) throw abortError();
+
+  let job = inflight.get(url);
+  if (!job) {
+    job = { waiters: 0 };
+    // The shared request has no caller signal: one caller aborting mustn't cancel the others
+    job.promise = enqueue(url, job, { headers: { "User-Agent": USER_AGENT, ...headers }, timeoutMs })
+      .then((data) => {
+        cacheSet(url, data);
+        return data;
+      })
+      .finally(() => inflight.delete(url));
+    inflight.set(url, job);
+  }
+  return waitFor(job, signal);
+}
+
 async function nominatimSearch(q, signal) {
   const url = `https://nominatim.openstreetmap.org/search?format=jsonv2&q=${encodeURIComponent(
     q
   )}&addressdetails=1&limit=8`;
-  const data = await fetchJsonWithTimeout(url, {
-    signal,
-    headers: {
-      "User-Agent": "weather-alert-app/1.0",
-      Referer: "https://example.com",
-    },
-    timeoutMs: 8000,
-  });
+  const data = await scheduledFetchJson(url, { signal, timeoutMs: 8000 });
   return (data || []).map((x) => ({
     ...normalizeItem(x),
     lat: Number(x.lat),
@@ -63,40 +230,129 @@ async function nominatimSearch(q, signal) {
   }));
 }
 
-async function bigDataCloudSearch(q, signal) {
-  // BigDataCloud doesn't support a general "search", so we do a best-effort:
-  // If user types "City, Country", we pass it straight to Nominatim first.
-  // Here we try their forward geocode by name via "geocode" endpoint alternatives:
-  // We'll approximate by calling the "free-text" forward geocoder through Nominatim
-  // fallback already; but keep BDC for resilience using localityLanguage.
-  // For compatibility, we'll call their reverse-geocode-client with 'q' won't work.
-  // Instead: call their "free-text" suggestion endpoint is not public. So:
-  // We'll implement a simple country-only fallback using country name parsing.
-  // => Practically, leave this as a second call to Nominatim with different params,
-  // but keep the function here for structure. If BDC adds a free endpoint later,
-  // swap in easily.
-  return [];
+async function photonSearch(q, signal) {
+  const url = `https://photon.komoot.io/api/?q=${encodeURIComponent(q)}&limit=8&lang=en`;
+  const data = await scheduledFetchJson(url, { signal, timeoutMs: 8000 });
+  return (data?.features || [])
+    .filter((f) => Array.isArray(f.geometry?.coordinates))
+    .map((f) => {
+      const p = f.properties || {};
+      const city = p.city || p.town || p.village || p.district || p.county || p.state || null;
+      const country = p.country || null;
+      const label =
+        [p.name, p.name !== city ? city : null, p.state || country]
+          .filter(Boolean)
+          .join(", ") || "Unknown";
+      return {
+        label,
+        lat: Number(f.geometry.coordinates[1]),
+        lon: Number(f.geometry.coordinates[0]),
+        city: city || p.name || null,
+        country,
+      };
+    });
 }
 
-// Public API with cancellation support
-export async function searchPlaces(query, externalAbortSignal) {
-  const q = (query || "").trim();
-  if (!q) return [];
+async function openMeteoSearch(q, signal) {
+  // Name search only: "Dublin, Ireland" -> "Dublin"
+  const name = q.split(",")[0].trim();
+  const url = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(
+    name
+  )}&count=8&language=en&format=json`;
+  const data = await scheduledFetchJson(url, { signal, timeoutMs: 8000 });
+  return (data?.results || []).map((r) => ({
+    label: [r.name, r.admin1, r.country].filter(Boolean).join(", "),
+    lat: Number(r.latitude),
+    lon: Number(r.longitude),
+    city: r.name || null,
+    country: r.country || null,
+  }));
+}
 
-  // Try Nominatim, then (optionally) BDC
-  try {
-    const nomi = await nominatimSearch(q, externalAbortSignal);
-    if (nomi.length) return nomi;
-  } catch (e) {
-    // fall through to second provider
+// In failover order; later providers only run if earlier ones fail or come up short
+const PROVIDERS = [nominatimSearch, photonSearch, openMeteoSearch];
+const ENOUGH_RESULTS = 5;
+const MAX_RESULTS = 8;
+const SAME_PLACE_KM = 2;
+
+const placeName = (p) => (p.label || "").split(",")[0].trim().toLowerCase();
+
+/** Append `incoming` to `list`, skipping entries that are the same place within a short distance */
+export function mergePlaces(list, incoming) {
+  const out = [...list];
+  incoming.forEach((p) => {
+    if (!Number.isFinite(p.lat) || !Number.isFinite(p.lon)) return;
+    const dup = out.find(
+      (q) => placeName(q) === placeName(p) && distanceKm(q.lat, q.lon, p.lat, p.lon) <= SAME_PLACE_KM
+    );
+    if (dup) {
+      // Keep the first label; borrow missing details from the duplicate
+      dup.city = dup.city || p.city;
+      dup.country = dup.country || p.country;
+    } else {
+      out.push({ ...p });
+    }
+  });
+  return out;
+}
+
+async function nominatimReverse(lat, lon, signal) {
+  const url = `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lon}&zoom=10&addressdetails=1`;
+  const data = await scheduledFetchJson(url, { signal, timeoutMs: 8000 });
+  if (!data || data.error) return null;
+  return normalizeItem(data);
+}
+
+/** Synthetic result for typed coordinates; label is refined by a background reverse lookup */
+function coordinateResult(lat, lon, signal, onUpdate) {
+  const place = { label: formatCoords(lat, lon), lat, lon, city: null, country: null, source: "coordinates" };
+  if (onUpdate) {
+    nominatimReverse(lat, lon, signal)
+      .then((found) => {
+        if (found && !signal?.aborted) {
+          onUpdate([{ ...place, city: found.city, country: found.country }]);
+        }
+      })
+      .catch(() => {});
   }
+  return [place];
+}
 
-  try {
-    const bdc = await bigDataCloudSearch(q, externalAbortSignal);
-    if (bdc.length) return bdc;
-  } catch (e) {
-    // ignore
+async function searchText(q, signal) {
+  let results = [];
+  for (const provider of PROVIDERS) {
+    try {
+      results = mergePlaces(results, await provider(q, signal));
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      // fall through to next provider
+    }
+    if (results.length >= ENOUGH_RESULTS) break;
+  }
+  return results.slice(0, MAX_RESULTS);
+}
+
+/**
+ * Public API with cancellation support.
+ * Raw coordinates (decimal, DMS, plus codes) resolve locally without a search;
+ * `onUpdate(results)` is called if a background lookup improves them.
+ * Throws InvalidCoordinatesError for coordinate input that is out of range.
+ */
+export async function searchPlaces(query, externalAbortSignal, { onUpdate } = {}) {
+  const q = (query || "").trim();
+  if (!q) return [];
+
+  const coords = parseCoordinateQuery(q);
+  if (coords?.format === "pluscode-short") {
+    if (!coords.locality) {
+      throw new InvalidCoordinatesError("Add a town after a short plus code, e.g. \"8PRH+XX Dublin\".");
+    }
+    const [ref] = await searchText(coords.locality, externalAbortSignal);
+    if (!ref) return [];
+    const { lat, lon } = recoverPlusCode(coords.shortCode, ref.lat, ref.lon);
+    return [{ ...coordinateResult(lat, lon)[0], city: ref.city, country: ref.country }];
   }
+  if (coords) return coordinateResult(coords.lat, coords.lon, externalAbortSignal, onUpdate);
 
-  return [];
+  return searchText(q, externalAbortSignal);
 }
@@ -0,0 +1,139 @@
+import axios from "axios";
+import dayjs from "dayjs";
+import { aggregateDaily } from "../utils/dailyForecast";
+
+// "complete" adds gusts, humidity, cloud cover and UV to the compact set
+const BASE = "https://api.met.no/weatherapi/locationforecast/2.0/complete";
+// MET Norway's terms require an identifying User-Agent
+const USER_AGENT = "weather-alert-app/1.0 github.com/daveranola/nasa-app-ver-2";
+// Hourly and daily calls parse the same document; reuse it until MET says it expires
+// (at least a minute, which covers the hourly + daily pair fired by one refresh)
+const DEFAULT_REUSE_MS = 60 * 1000;
+const MAX_DOCS = 10;
+const docs = new Map(); // url -> { until, promise }
+
+/** MET symbol_code (without _day/_night suffix) -> Meteomatics weather_symbol_1h:idx */
+const CODE_TO_SYMBOL = {
+  clearsky: 1,
+  fair: 2,
+  partlycloudy: 3,
+  cloudy: 4,
+  fog: 11,
+  lightrain: 5,
+  rain: 5,
+  heavyrain: 5,
+  lightsleet: 6,
+  sleet: 6,
+  heavysleet: 6,
+  lightsnow: 7,
+  snow: 7,
+  heavysnow: 7,
+  lightrainshowers: 8,
+  rainshowers: 8,
+  heavyrainshowers: 8,
+  lightsnowshowers: 9,
+  snowshowers: 9,
+  heavysnowshowers: 9,
+  lightsleetshowers: 10,
+  sleetshowers: 10,
+  heavysleetshowers: 10,
+};
+
+export function metCodeToSymbol(code) {
+  if (!code) return 0;
+  const [name, period] = code.split("_");
+  const base = name.includes("thunder") ? 14 : CODE_TO_SYMBOL[name];
+  if (base == null) return 0;
+  return period === "night" ? base + 100 : base;
+}
+
+/**
+ * Keyless fallback: "now + next 6 hours" from MET Norway,
+ * returned in the same slot shape as Meteomatics.
+ */
+export async function getWeather(lat, lon) {
+  const nowHour = Math.floor(Date.now() / 3600000) * 3600000;
+  const forecast = (await fetchSlots(lat, lon))
+    .filter((s) => s.hourly && Date.parse(s.time) >= nowHour)
+    .slice(0, 7)
+    .map(({ hourly, ...slot }) => slot);
+  return { current: forecast[0], forecast };
+}
+
+/** Hourly slots from the current hour (MET has hourly steps for ~2.5 days) */
+export async function getHourlyForecast(lat, lon, hours = 48) {
+  const nowHour = Math.floor(Date.now() / 3600000) * 3600000;
+  const forecast = (await fetchSlots(lat, lon))
+    .filter((s) => s.hourly && Date.parse(s.time) >= nowHour)
+    .slice(0, hours)
+    .map(({ hourly, ...slot }) => slot);
+  return { forecast };
+}
+
+/**
+ * Daily summary for the next `days` days (MET covers ~9).
+ * Beyond ~2.5 days MET steps are 6-hourly; their precipitation covers the whole step.
+ */
+export async function getDailyForecast(lat, lon, days = 7) {
+  const from = dayjs().startOf("day").valueOf();
+  const slots = (await fetchSlots(lat, lon))
+    .filter((s) => Date.parse(s.time) >= from)
+    .map(({ hourly, ...slot }) => slot);
+  return { days: aggregateDaily(slots).slice(0, days) };
+}
+
+/** One download per location until it expires, shared by concurrent callers */
+function fetchSlots(lat, lon) {
+  // MET asks clients to round to 4 decimals so their CDN can cache
+  const url = `${BASE}?lat=${Number(lat).toFixed(4)}&lon=${Number(lon).toFixed(4)}`;
+  const hit = docs.get(url);
+  if (hit && hit.until > Date.now()) return hit.promise;
+
+  const entry = { until: Infinity, promise: null };
+  entry.promise = downloadSlots(url).then(
+    ({ slots, expires }) => {
+      entry.until = Math.max(Number.isFinite(expires) ? expires : 0, Date.now() + DEFAULT_REUSE_MS);
+      return slots;
+    },
+    (e) => {
+      if (docs.get(url) === entry) docs.delete(url);
+      throw e;
+    }
+  );
+  docs.delete(url);
+  docs.set(url, entry);
+  while (docs.size > MAX_DOCS) docs.delete(docs.keys().next().value);
+  return entry.promise;
+}
+
+async function downloadSlots(url) {
+  try {
+    const res = await axios.get(url, { headers: { "User-Agent": USER_AGENT }, timeout: 10000 });
+    return { slots: parse(res.data), expires: Date.parse(res.headers?.expires) };
+  } catch (e) {
+    const code = e.response?.status;
+    if (e.code === "ECONNABORTED") throw new Error("MET Norway request timed out.");
+    throw new Error(`MET Norway error: ${code || ""} ${e.message}`);
+  }
+}
+
+function parse(json) {
+  const series = json?.properties?.timeseries ?? [];
+  return series.map((entry) => {
+    const details = entry.data?.instant?.details ?? {};
+    // Prefer the 1h period; far-range steps only carry next_6_hours
+    const next = entry.data?.next_1_hours ?? entry.data?.next_6_hours;
+    return {
+      time: entry.time,
+      hourly: !!entry.data?.next_1_hours,
+      tempC: details.air_temperature,
+      precipMM: next?.details?.precipitation_amount ?? 0,
+      windMS: details.wind_speed,
+      symbol: metCodeToSymbol(next?.summary?.symbol_code),
+      gustMS: details.wind_speed_of_gust,
+      humidityPct: details.relative_humidity,
+      uvIndex: details.ultraviolet_index_clear_sky,
+      cloudPct: details.cloud_area_fraction,
+    };
+  });
+}
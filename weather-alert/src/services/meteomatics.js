@@ -1,6 +1,7 @@
 import axios from "axios";
 import Constants from "expo-constants";
 import dayjs from "dayjs";
+import { aggregateDaily } from "../utils/dailyForecast";
 
 // Safely read Expo extra in Expo Go & dev builds
 const extra =
@@ -9,33 +10,66 @@ const extra =
   Constants.manifest?.extra ??
   {};
 
-const { METEOMATICS_USERNAME, METEOMATICS_PASSWORD } = extra;
+const { METEOMATICS_USERNAME, METEOMATICS_PASSWORD, WEATHER_PROXY_URL, WEATHER_PROXY_TOKEN } = extra;
+// When a proxy is configured the app never sees Meteomatics credentials
+const PROXY = WEATHER_PROXY_URL ? WEATHER_PROXY_URL.replace(/\/+$/, "") : null;
 
 const BASE = "https://api.meteomatics.com";
-const PARAMS = "t_2m:C,precip_1h:mm,wind_speed_10m:ms,weather_symbol_1h:idx";
+const CORE_PARAMS = "t_2m:C,precip_1h:mm,wind_speed_10m:ms,weather_symbol_1h:idx,wind_gusts_10m_1h:ms";
+const PARAMS = [
+  CORE_PARAMS,
+  "relative_humidity_2m:p",
+  "t_apparent:C",
+  "uv:idx",
+  "visibility:m",
+  "effective_cloud_cover:p",
+  "fresh_snow_1h:cm",
+  "precip_type:idx",
+].join(",");
+const DAILY_PARAMS = CORE_PARAMS;
+// Param set names understood by weather-proxy
+const PROXY_SETS = { [PARAMS]: "full", [DAILY_PARAMS]: "core" };
 
 /**
  * One fast call for "now + next 6 hours"; first item is your "current".
  * Has a hard 12s timeout so it never hangs.
  */
 export async function getWeather(lat, lon) {
+  const nowUTC = dayjs().utc();
+  const arr = await fetchSlots(lat, lon, nowUTC, nowUTC.add(6, "hour"), PARAMS);
+  return { current: arr[0], forecast: arr };
+}
+
+/** Hourly slots from the current hour for the next `hours` hours */
+export async function getHourlyForecast(lat, lon, hours = 48) {
+  const startUTC = dayjs().utc().startOf("hour");
+  return { forecast: await fetchSlots(lat, lon, startUTC, startUTC.add(hours, "hour"), PARAMS) };
+}
+
+/** Hourly slots for the next `days` days, aggregated per local day */
+export async function getDailyForecast(lat, lon, days = 7) {
+  const startUTC = dayjs().startOf("day").utc();
+  const arr = await fetchSlots(lat, lon, startUTC, startUTC.add(days, "day"), DAILY_PARAMS);
+  return { days: aggregateDaily(arr).slice(0, days) };
+}
+
+async function fetchSlots(lat, lon, from, to, params) {
+  if (PROXY) return fetchSlotsViaProxy(lat, lon, from, to, params);
   if (!METEOMATICS_USERNAME || !METEOMATICS_PASSWORD) {
     throw new Error(
-      "Missing Meteomatics credentials (.env/app.config.js). Restart with `npm start -c` after changes."
+      "Missing Meteomatics credentials or WEATHER_PROXY_URL (.env/app.config.js). Restart with `npm start -c` after changes."
     );
   }
 
   const auth = { username: METEOMATICS_USERNAME, password: METEOMATICS_PASSWORD };
-  const nowUTC = dayjs().utc();
-  const start = nowUTC.format("YYYY-MM-DDTHH:mm:ss[Z]");
-  const end   = nowUTC.add(6, "hour").format("YYYY-MM-DDTHH:mm:ss[Z]");
+  const start = from.format("YYYY-MM-DDTHH:mm:ss[Z]");
+  const end   = to.format("YYYY-MM-DDTHH:mm:ss[Z]");
   const step  = "PT1H";
-  const url   = `${BASE}/${start}--${end}:${step}/${PARAMS}/${lat},${lon}/json?model=mix`;
+  const url   = `${BASE}/${start}--${end}:${step}/${params}/${lat},${lon}/json?model=mix`;
 
   try {
     const res = await axios.get(url, { auth, timeout: 12000 });
-    const arr = parse(res.data);
-    return { current: arr[0], forecast: arr };
+    return parse(res.data);
   } catch (e) {
     const code = e.response?.status;
     if (code === 401) throw new Error("401 Unauthorized from Meteomatics — check username/password.");
@@ -44,6 +78,29 @@ export async function getWeather(lat, lon) {
   }
 }
 
+/** Client mode: weather-proxy holds the credentials and returns parsed slots */
+async function fetchSlotsViaProxy(lat, lon, from, to, params) {
+  const hours = Math.max(1, Math.ceil(to.diff(from, "hour", true)));
+  try {
+    const res = await axios.get(`${PROXY}/forecast`, {
+      params: { lat, lon, start: from.toISOString(), hours, set: PROXY_SETS[params] ?? "full" },
+      headers: { Authorization: `Bearer ${WEATHER_PROXY_TOKEN ?? ""}` },
+      timeout: 15000,
+    });
+    return res.data?.forecast ?? [];
+  } catch (e) {
+    const code = e.response?.status;
+    if (e.code === "ECONNABORTED") throw new Error("Weather proxy request timed out.");
+    if (code === 401) throw new Error("Weather proxy rejected the app token — check WEATHER_PROXY_TOKEN.");
+    if (code === 429) throw new Error("Weather proxy rate limit reached, try again shortly.");
+    throw new Error(`Weather proxy error: ${code || ""} ${e.response?.data?.error ?? e.message}`);
+  }
+}
+
+// precip_type:idx -> our precipitation type names (0 = none)
+const PRECIP_TYPE_IDX = { 1: "rain", 2: "sleet", 3: "snow", 4: "sleet", 5: "freezing-rain", 6: "hail" };
+
+// Copied in weather-proxy/src/meteomatics.js: keep the slot fields in sync
 function parse(json) {
   // Convert Meteomatics shape into array of hourly slots
   const map = {};
@@ -61,5 +118,13 @@ function parse(json) {
     precipMM: x["precip_1h:mm"],
     windMS: x["wind_speed_10m:ms"],
     symbol: x["weather_symbol_1h:idx"],
+    gustMS: x["wind_gusts_10m_1h:ms"],
+    humidityPct: x["relative_humidity_2m:p"],
+    apparentTempC: x["t_apparent:C"],
+    uvIndex: x["uv:idx"],
+    visibilityM: x["visibility:m"],
+    cloudPct: x["effective_cloud_cover:p"],
+    snowCM: x["fresh_snow_1h:cm"],
+    precipType: PRECIP_TYPE_IDX[x["precip_type:idx"]] ?? null,
   }));
 }
@@ -0,0 +1,95 @@
+import axios from "axios";
+import dayjs from "dayjs";
+import { aggregateDaily } from "../utils/dailyForecast";
+
+const BASE = "https://api.open-meteo.com/v1/forecast";
+const CORE_HOURLY = "temperature_2m,precipitation,wind_speed_10m,weather_code,is_day,wind_gusts_10m";
+const HOURLY = [
+  CORE_HOURLY,
+  "relative_humidity_2m",
+  "apparent_temperature",
+  "uv_index",
+  "visibility",
+  "cloud_cover",
+  "snowfall",
+].join(",");
+
+/** WMO weather code -> Meteomatics weather_symbol_1h:idx (day variant) */
+const WMO_TO_SYMBOL = {
+  0: 1, 1: 2, 2: 3, 3: 4,
+  45: 11, 48: 12,
+  51: 15, 53: 15, 55: 15, 56: 13, 57: 13,
+  61: 5, 63: 5, 65: 5, 66: 13, 67: 13,
+  71: 7, 73: 7, 75: 7, 77: 7,
+  80: 8, 81: 8, 82: 8, 85: 9, 86: 9,
+  95: 14, 96: 14, 99: 14,
+};
+
+export function wmoToSymbol(code, isDay = true) {
+  const base = WMO_TO_SYMBOL[code];
+  if (base == null) return 0;
+  return isDay ? base : base + 100;
+}
+
+/**
+ * Keyless fallback: "now + next 6 hours" from Open-Meteo,
+ * returned in the same slot shape as Meteomatics.
+ */
+export async function getWeather(lat, lon) {
+  const nowHour = Math.floor(Date.now() / 3600000) * 3600;
+  const arr = await fetchSlots(lat, lon, HOURLY, "&forecast_days=2");
+  const forecast = arr.filter((s) => s.unix >= nowHour).slice(0, 7).map(stripUnix);
+  return { current: forecast[0], forecast };
+}
+
+/** Hourly slots from the current hour for the next `hours` hours */
+export async function getHourlyForecast(lat, lon, hours = 48) {
+  const nowHour = Math.floor(Date.now() / 3600000) * 3600;
+  const arr = await fetchSlots(lat, lon, HOURLY, `&forecast_days=${Math.ceil(hours / 24) + 1}`);
+  return { forecast: arr.filter((s) => s.unix >= nowHour).slice(0, hours).map(stripUnix) };
+}
+
+/** Hourly slots for the next `days` days, aggregated per local day */
+export async function getDailyForecast(lat, lon, days = 7) {
+  // past_days=1 so the local "today" is complete for timezones ahead of UTC
+  const arr = await fetchSlots(lat, lon, CORE_HOURLY, `&past_days=1&forecast_days=${days + 1}`);
+  const today = dayjs().format("YYYY-MM-DD");
+  const daily = aggregateDaily(arr.map(stripUnix)).filter((d) => d.date >= today);
+  return { days: daily.slice(0, days) };
+}
+
+async function fetchSlots(lat, lon, hourly, range) {
+  const url =
+    `${BASE}?latitude=${lat}&longitude=${lon}&hourly=${hourly}` +
+    `&wind_speed_unit=ms&timeformat=unixtime&timezone=UTC${range}`;
+
+  try {
+    const res = await axios.get(url, { timeout: 10000 });
+    return parse(res.data);
+  } catch (e) {
+    const code = e.response?.status;
+    if (e.code === "ECONNABORTED") throw new Error("Open-Meteo request timed out.");
+    throw new Error(`Open-Meteo error: ${code || ""} ${e.message}`);
+  }
+}
+
+const stripUnix = ({ unix, ...slot }) => slot;
+
+function parse(json) {
+  const h = json?.hourly ?? {};
+  return (h.time ?? []).map((unix, i) => ({
+    unix,
+    time: new Date(unix * 1000).toISOString(),
+    tempC: h.temperature_2m?.[i],
+    precipMM: h.precipitation?.[i],
+    windMS: h.wind_speed_10m?.[i],
+    symbol: wmoToSymbol(h.weather_code?.[i], h.is_day?.[i] !== 0),
+    gustMS: h.wind_gusts_10m?.[i],
+    humidityPct: h.relative_humidity_2m?.[i],
+    apparentTempC: h.apparent_temperature?.[i],
+    uvIndex: h.uv_index?.[i],
+    visibilityM: h.visibility?.[i],
+    cloudPct: h.cloud_cover?.[i],
+    snowCM: h.snowfall?.[i],
+  }));
+}
@@ -0,0 +1,118 @@
+// src/services/places.js
+// Persisted recent selections and starred favourites for PlacePicker.
+// Places are the geocode shape { label, lat, lon, city, country } plus an `id`;
+// favourites also carry a user-editable `name` and whether they get `alerts`.
+// Favourites double as the saved locations the app shows and checks side by side.
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const RECENTS_KEY = "places:recent";
+const FAVOURITES_KEY = "places:favourites";
+const LAST_KEY = "places:last";
+const MAX_RECENTS = 8;
+
+/** Same spot (to ~10 m) => same id, so re-selecting moves rather than duplicates */
+export const placeId = (p) => `${Number(p.lat).toFixed(4)},${Number(p.lon).toFixed(4)}`;
+
+async function readList(key) {
+  try {
+    const s = await AsyncStorage.getItem(key);
+    const list = s ? JSON.parse(s) : [];
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+async function writeList(key, list) {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(list));
+  } catch {}
+  return list;
+}
+
+const pick = ({ label, lat, lon, city = null, country = null }) => ({
+  id: placeId({ lat, lon }),
+  label,
+  lat,
+  lon,
+  city,
+  country,
+});
+
+export async function loadSavedPlaces() {
+  const [recents, favourites] = await Promise.all([readList(RECENTS_KEY), readList(FAVOURITES_KEY)]);
+  return { recents, favourites };
+}
+
+/** Move (or add) a place to the top of the recents list */
+export async function addRecent(place) {
+  const entry = pick(place);
+  const list = (await readList(RECENTS_KEY)).filter((p) => p.id !== entry.id);
+  return writeList(RECENTS_KEY, [entry, ...list].slice(0, MAX_RECENTS));
+}
+
+export async function removeRecent(id) {
+  const list = await readList(RECENTS_KEY);
+  return writeList(RECENTS_KEY, list.filter((p) => p.id !== id));
+}
+
+/** Star or un-star a place; new favourites go to the end */
+export async function toggleFavourite(place) {
+  const id = placeId(place);
+  const list = await readList(FAVOURITES_KEY);
+  if (list.some((p) => p.id === id)) {
+    return writeList(FAVOURITES_KEY, list.filter((p) => p.id !== id));
+  }
+  const entry = pick(place);
+  const name = place.name || entry.city || entry.label;
+  return writeList(FAVOURITES_KEY, [...list, { ...entry, name, alerts: false }]);
+}
+
+export async function renameFavourite(id, name) {
+  const trimmed = (name || "").trim();
+  const list = await readList(FAVOURITES_KEY);
+  return writeList(
+    FAVOURITES_KEY,
+    list.map((p) => (p.id === id ? { ...p, name: trimmed || p.city || p.label } : p))
+  );
+}
+
+/** Turn alert scheduling for a saved location on or off */
+export async function setFavouriteAlerts(id, alerts) {
+  const list = await readList(FAVOURITES_KEY);
+  return writeList(FAVOURITES_KEY, list.map((p) => (p.id === id ? { ...p, alerts: !!alerts } : p)));
+}
+
+/** Shift a favourite up (-1) or down (+1) */
+export async function moveFavourite(id, delta) {
+  const list = await readList(FAVOURITES_KEY);
+  const from = list.findIndex((p) => p.id === id);
+  const to = from + delta;
+  if (from < 0 || to < 0 || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return writeList(FAVOURITES_KEY, next);
+}
+
+export async function removeFavourite(id) {
+  const list = await readList(FAVOURITES_KEY);
+  return writeList(FAVOURITES_KEY, list.filter((p) => p.id !== id));
+}
+
+/** The location the app last showed, for the background check to reuse */
+export async function saveLastLocation({ lat, lon, city = null, country = null }) {
+  try {
+    await AsyncStorage.setItem(LAST_KEY, JSON.stringify({ lat, lon, city, country, savedAt: Date.now() }));
+  } catch {}
+}
+
+export async function loadLastLocation() {
+  try {
+    const s = await AsyncStorage.getItem(LAST_KEY);
+    const loc = s ? JSON.parse(s) : null;
+    return Number.isFinite(loc?.lat) && Number.isFinite(loc?.lon) ? loc : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,74 @@
+// src/services/settings.js
+// Persisted user settings with a tiny subscribe API so the hook, the UI and
+// non-React code (notifications, background checks) all read the same values.
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { DEFAULT_PROFILE_ID, RULES_VERSION, migrateRulesByProfile } from "../utils/activityProfiles";
+import { DEFAULT_LEAD_TIMES } from "../utils/leadTimes";
+import { DEFAULT_QUIET_HOURS } from "../utils/quietHours";
+import { DEFAULT_BRIEFING } from "../utils/briefing";
+
+const SETTINGS_KEY = "settings";
+
+export const DEFAULT_SETTINGS = {
+  activeProfile: DEFAULT_PROFILE_ID,
+  rulesByProfile: {}, // profileId -> edited rules; missing = profile defaults
+  rulesVersion: RULES_VERSION, // built-in rule changes applied to rulesByProfile
+  minPushSeverity: "advisory", // quieter levels still show in the app, just not as pushes
+  leadTimesMin: DEFAULT_LEAD_TIMES, // remind this many minutes before an episode starts
+  quietHours: DEFAULT_QUIET_HOURS,
+  briefing: DEFAULT_BRIEFING, // daily summary notification for the last location
+  allClear: false, // follow up when an alerted episode ends or is forecast away
+  currentLocationAlerts: true, // saved locations have their own switch (places.js)
+};
+
+let settings = DEFAULT_SETTINGS;
+let loadPromise = null;
+const listeners = new Set();
+
+/**
+ * Shallow-merge stored values over defaults so new settings get sensible values,
+ * and bring edited rules up to date with changes to the built-in ones
+ */
+function withDefaults(stored) {
+  const { rules, rulesVersion = 1, ...rest } = stored || {};
+  const merged = { ...DEFAULT_SETTINGS, ...rest };
+  // Rules edited before profiles existed become the General profile's rules
+  if (rules && !rest.rulesByProfile) merged.rulesByProfile = { [DEFAULT_PROFILE_ID]: rules };
+  merged.rulesByProfile = migrateRulesByProfile(merged.rulesByProfile, rulesVersion);
+  merged.rulesVersion = RULES_VERSION;
+  return merged;
+}
+
+export function loadSettings() {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(SETTINGS_KEY)
+      .then((s) => {
+        settings = withDefaults(s ? JSON.parse(s) : null);
+        return settings;
+      })
+      .catch(() => settings);
+  }
+  return loadPromise;
+}
+
+/** Current settings (defaults until loadSettings() resolves) */
+export function getSettings() {
+  return settings;
+}
+
+/** Apply a patch object or an updater fn(settings) => patch, then persist and notify */
+export async function updateSettings(patch) {
+  await loadSettings();
+  const changes = typeof patch === "function" ? patch(settings) : patch;
+  settings = { ...settings, ...changes };
+  listeners.forEach((fn) => fn(settings));
+  try {
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {}
+  return settings;
+}
+
+export function subscribeSettings(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
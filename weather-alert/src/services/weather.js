@@ -0,0 +1,114 @@
+// src/services/weather.js
+// Provider layer: every provider returns { current, forecast } in the slot shape
+// produced by meteomatics.parse. We try them in order of health and fail over.
+import * as meteomatics from "./meteomatics";
+import * as openMeteo from "./openMeteo";
+import * as metNorway from "./metNorway";
+import { withFeelsLike } from "../utils/feelsLike";
+import { withPrecipitation } from "../utils/precipitation";
+
+const PROVIDERS = [
+  { id: "meteomatics", name: "Meteomatics", ...meteomatics },
+  { id: "open-meteo", name: "Open-Meteo", ...openMeteo },
+  { id: "met-norway", name: "MET Norway", ...metNorway },
+];
+
+const BASE_COOLDOWN_MS = 60 * 1000;
+const MAX_COOLDOWN_MS = 30 * 60 * 1000;
+
+// id -> { failures, lastError, lastFailureAt, lastSuccessAt }
+const health = {};
+
+function healthOf(id) {
+  if (!health[id]) {
+    health[id] = { failures: 0, lastError: null, lastFailureAt: 0, lastSuccessAt: 0 };
+  }
+  return health[id];
+}
+
+/** Back off exponentially after consecutive failures */
+function cooldownUntil(id) {
+  const h = healthOf(id);
+  if (!h.failures) return 0;
+  const ms = Math.min(MAX_COOLDOWN_MS, BASE_COOLDOWN_MS * 2 ** (h.failures - 1));
+  return h.lastFailureAt + ms;
+}
+
+/** Healthy providers first (in preference order), cooling-down ones last */
+function rankProviders() {
+  const now = Date.now();
+  return PROVIDERS.map((p, idx) => ({ p, idx, until: cooldownUntil(p.id) }))
+    .sort((a, b) => {
+      const aCooling = a.until > now;
+      const bCooling = b.until > now;
+      if (aCooling !== bCooling) return aCooling ? 1 : -1;
+      if (aCooling) return a.until - b.until; // soonest available first
+      return a.idx - b.idx;
+    })
+    .map((x) => x.p);
+}
+
+async function callProviders(method, args, validate = (data) => !!data) {
+  const errors = [];
+  for (const provider of rankProviders()) {
+    if (typeof provider[method] !== "function") continue;
+    const h = healthOf(provider.id);
+    try {
+      const data = await provider[method](...args);
+      if (!validate(data)) throw new Error("empty response");
+      h.failures = 0;
+      h.lastError = null;
+      h.lastSuccessAt = Date.now();
+      return { ...data, provider: provider.name };
+    } catch (e) {
+      h.failures += 1;
+      h.lastError = e.message ?? String(e);
+      h.lastFailureAt = Date.now();
+      errors.push(`${provider.name}: ${h.lastError}`);
+    }
+  }
+  throw new Error(`All weather providers failed. ${errors.join(" | ")}`);
+}
+
+const enrich = (slots) => withPrecipitation(slots.map(withFeelsLike));
+
+/**
+ * "now + next 6 hours" from the healthiest provider.
+ * Resolves to { current, forecast, provider } where provider is a display name.
+ * Slots gain derived fields (feelsLikeC, precipType and per-type amounts, iceRisk)
+ * so rules don't depend on the provider.
+ */
+export async function getWeather(lat, lon) {
+  const data = await callProviders("getWeather", [lat, lon], (d) => d?.forecast?.length > 0);
+  const forecast = enrich(data.forecast);
+  const current =
+    forecast.find((s) => s.time === data.current?.time) ??
+    (data.current ? withPrecipitation([withFeelsLike(data.current)])[0] : null);
+  return { ...data, current, forecast };
+}
+
+/**
+ * Hourly slots from now for the next `hours` hours (briefings look further ahead
+ * than alerts). Resolves to { forecast, provider }, enriched like getWeather.
+ */
+export async function getHourlyForecast(lat, lon, hours = 48) {
+  const data = await callProviders(
+    "getHourlyForecast",
+    [lat, lon, hours],
+    (d) => d?.forecast?.length > 0
+  );
+  return { ...data, forecast: enrich(data.forecast) };
+}
+
+/**
+ * Per-day summary for the next `days` days (7–10 depending on provider range).
+ * Resolves to { days: [{ date, minC, maxC, precipMM, windMaxMS, gustMaxMS, symbol }], provider }.
+ */
+export async function getDailyForecast(lat, lon, days = 7) {
+  return callProviders("getDailyForecast", [lat, lon, days], (data) => data?.days?.length > 0);
+}
+
+/** Snapshot of provider health, for diagnostics */
+export function getProviderHealth() {
+  return PROVIDERS.map((p) => ({ id: p.id, name: p.name, ...healthOf(p.id) }));
+}
@@ -0,0 +1,73 @@
+import { getProfile, migrateRulesByProfile, RULES_VERSION } from "../activityProfiles";
+
+/** A profile's built-in rule as the user saved it */
+const edited = (profileId, ruleId, changes = {}) => ({
+  ...getProfile(profileId).rules.find((r) => r.id === ruleId),
+  ...changes,
+});
+
+describe("migrateRulesByProfile", () => {
+  it("moves edited built-in cold, heat and rain rules to the new parameters", () => {
+    const stored = {
+      general: [
+        edited("general", "heavy-rain", { param: "precipMM", threshold: 3 }),
+        edited("general", "rain", { param: "precipMM" }),
+        edited("general", "cold", { param: "tempC", threshold: 5 }),
+        edited("general", "heat", { param: "tempC" }),
+      ],
+    };
+    const general = migrateRulesByProfile(stored, 1).general.filter((r) =>
+      ["heavy-rain", "rain", "cold", "heat"].includes(r.id)
+    );
+
+    expect(general.map((r) => [r.id, r.param])).toEqual([
+      ["heavy-rain", "rainMM"],
+      ["rain", "rainMM"],
+      ["cold", "feelsLikeC"],
+      ["heat", "feelsLikeC"],
+    ]);
+    // Only the parameter changes
+    expect(general[0].threshold).toBe(3);
+    expect(general[2].threshold).toBe(5);
+  });
+
+  it("leaves custom rules and deliberate air-temperature rules alone", () => {
+    const custom = { id: "custom-1", label: "chilly", param: "tempC", comparator: "<=", threshold: 8 };
+    const frost = edited("commute", "cold", { threshold: 2 });
+    const { general, commute } = migrateRulesByProfile({ general: [custom], commute: [frost] }, 1);
+
+    expect(general).toContainEqual(custom);
+    expect(commute).toContainEqual(frost);
+  });
+
+  it("adds the built-in rules a profile gained, in default order", () => {
+    const stored = {
+      general: ["heavy-rain", "rain", "wind", "cold"].map((id) => edited("general", id)),
+      running: [edited("running", "heavy-rain"), edited("running", "wind")],
+    };
+    const { general, running } = migrateRulesByProfile(stored, 1);
+
+    expect(general.map((r) => r.id)).toEqual([
+      "heavy-rain",
+      "rain",
+      "freezing-rain",
+      "snow",
+      "sleet",
+      "ice",
+      "wind",
+      "cold",
+    ]);
+    expect(general.find((r) => r.id === "ice")).toEqual(edited("general", "ice"));
+    expect(running.map((r) => r.id)).toEqual(["heavy-rain", "wind", "ice"]);
+  });
+
+  it("doesn't bring back a new rule the user deleted after it arrived", () => {
+    const stored = { cycling: [edited("cycling", "rain")] };
+    expect(migrateRulesByProfile(stored, RULES_VERSION)).toBe(stored);
+  });
+
+  it("does nothing for settings already at the current version", () => {
+    const stored = { general: [edited("general", "cold", { param: "tempC" })] };
+    expect(migrateRulesByProfile(stored, RULES_VERSION)).toBe(stored);
+  });
+});
@@ -0,0 +1,86 @@
+import {
+  parseCoordinateQuery,
+  decodePlusCode,
+  recoverPlusCode,
+  InvalidCoordinatesError,
+} from "../coordinates";
+
+describe("parseCoordinateQuery", () => {
+  it("ignores text that isn't coordinate-like", () => {
+    expect(parseCoordinateQuery("")).toBeNull();
+    expect(parseCoordinateQuery("Dublin")).toBeNull();
+    expect(parseCoordinateQuery("10 Downing Street")).toBeNull();
+  });
+
+  it("reads signed decimal degrees with any separator", () => {
+    expect(parseCoordinateQuery("53.35, -6.26")).toEqual({ lat: 53.35, lon: -6.26, format: "decimal" });
+    expect(parseCoordinateQuery("53.35 -6.26")).toEqual({ lat: 53.35, lon: -6.26, format: "decimal" });
+    expect(parseCoordinateQuery("  -33.87;151.21 ")).toEqual({
+      lat: -33.87,
+      lon: 151.21,
+      format: "decimal",
+    });
+  });
+
+  it("applies N/S/E/W hemispheres to decimal degrees", () => {
+    expect(parseCoordinateQuery("53.35N 6.26W")).toEqual({ lat: 53.35, lon: -6.26, format: "decimal" });
+    expect(parseCoordinateQuery("33.87° s, 151.21° e")).toEqual({
+      lat: -33.87,
+      lon: 151.21,
+      format: "decimal",
+    });
+  });
+
+  it("converts degrees, minutes and seconds", () => {
+    const a = parseCoordinateQuery("53°21'N 6°15'W");
+    expect(a.format).toBe("dms");
+    expect(a.lat).toBeCloseTo(53.35, 6);
+    expect(a.lon).toBeCloseTo(-6.25, 6);
+
+    const b = parseCoordinateQuery(`53°21'30.5"N, 6°15'10"W`);
+    expect(b.lat).toBeCloseTo(53 + 21 / 60 + 30.5 / 3600, 6);
+    expect(b.lon).toBeCloseTo(-(6 + 15 / 60 + 10 / 3600), 6);
+  });
+
+  it("accepts DMS with longitude first", () => {
+    const p = parseCoordinateQuery("6°15'W 53°21'N");
+    expect(p.lat).toBeCloseTo(53.35, 6);
+    expect(p.lon).toBeCloseTo(-6.25, 6);
+  });
+
+  it("decodes full plus codes to the cell centre", () => {
+    const p = parseCoordinateQuery("9C5M8PRH+XX");
+    expect(p.format).toBe("pluscode");
+    expect(p.lat).toBeCloseTo(53.3424, 3);
+    expect(p.lon).toBeCloseTo(-6.2702, 3);
+  });
+
+  it("returns short plus codes with their locality for the caller to resolve", () => {
+    expect(parseCoordinateQuery("8prh+xx Dublin")).toEqual({
+      shortCode: "8PRH+XX",
+      locality: "Dublin",
+      format: "pluscode-short",
+    });
+    expect(parseCoordinateQuery("8PRH+XX")).toEqual({
+      shortCode: "8PRH+XX",
+      locality: null,
+      format: "pluscode-short",
+    });
+  });
+
+  it("throws InvalidCoordinatesError for out-of-range input", () => {
+    expect(() => parseCoordinateQuery("91, 10")).toThrow(InvalidCoordinatesError);
+    expect(() => parseCoordinateQuery("45, 181")).toThrow("Longitude must be between -180 and 180.");
+    expect(() => parseCoordinateQuery("53°61'N 6°15'W")).toThrow("Minutes and seconds must be below 60.");
+    expect(() => parseCoordinateQuery("53°21'N 6°15'N")).toThrow(InvalidCoordinatesError);
+  });
+});
+
+describe("plus codes", () => {
+  it("recovers a short code next to its reference point", () => {
+    const full = decodePlusCode("9C5M8PRH+XX");
+    const recovered = recoverPlusCode("8PRH+XX", 53.35, -6.26);
+    expect(recovered.lat).toBeCloseTo(full.lat, 6);
+    expect(recovered.lon).toBeCloseTo(full.lon, 6);
+  });
+});
@@ -0,0 +1,38 @@
+import { forecastLink, parseForecastLink } from "../deepLinks";
+
+describe("forecast links", () => {
+  it("round-trips place and hour", () => {
+    const url = forecastLink({
+      lat: 53.35,
+      lon: -6.2661,
+      city: "Dún Laoghaire",
+      time: "2025-01-03T14:00:00.000Z",
+    });
+    expect(url).toBe(
+      "weatheralert://forecast?lat=53.3500&lon=-6.2661&city=D%C3%BAn%20Laoghaire&time=2025-01-03T14%3A00%3A00.000Z"
+    );
+    expect(parseForecastLink(url)).toEqual({
+      lat: 53.35,
+      lon: -6.2661,
+      city: "Dún Laoghaire",
+      time: "2025-01-03T14:00:00.000Z",
+    });
+  });
+
+  it("drops an unreadable time but keeps the place", () => {
+    expect(parseForecastLink("weatheralert:///forecast/?lat=1&lon=2&time=soon")).toEqual({
+      lat: 1,
+      lon: 2,
+      city: null,
+      time: null,
+    });
+  });
+
+  it("rejects other links and missing coordinates", () => {
+    expect(parseForecastLink("https://example.com/forecast?lat=1&lon=2")).toBeNull();
+    expect(parseForecastLink("weatheralert://settings")).toBeNull();
+    expect(parseForecastLink("weatheralert://forecast?lat=1")).toBeNull();
+    expect(parseForecastLink("weatheralert://forecast?lat=abc&lon=2")).toBeNull();
+    expect(parseForecastLink(null)).toBeNull();
+  });
+});
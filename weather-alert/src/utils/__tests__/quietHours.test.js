@@ -0,0 +1,89 @@
+import { DEFAULT_QUIET_HOURS, parseTimeOfDay, quietWindowAt, resolveQuietTime } from "../quietHours";
+
+// Local times; 3 January 2025 is a Friday
+const FRI = 3;
+const at = (day, h, min = 0) => new Date(2025, 0, day, h, min);
+const quiet = (changes = {}) => ({ ...DEFAULT_QUIET_HOURS, enabled: true, ...changes });
+
+describe("parseTimeOfDay", () => {
+  it("reads H:MM and HH:MM", () => {
+    expect(parseTimeOfDay("7:30")).toEqual([7, 30]);
+    expect(parseTimeOfDay(" 22:05 ")).toEqual([22, 5]);
+  });
+
+  it("rejects anything else", () => {
+    expect(parseTimeOfDay("24:00")).toBeNull();
+    expect(parseTimeOfDay("12:60")).toBeNull();
+    expect(parseTimeOfDay("noon")).toBeNull();
+    expect(parseTimeOfDay(null)).toBeNull();
+  });
+});
+
+describe("quietWindowAt", () => {
+  it("is null while quiet hours are off", () => {
+    expect(quietWindowAt(at(FRI, 23), DEFAULT_QUIET_HOURS)).toBeNull();
+  });
+
+  it("finds tonight's window running past midnight", () => {
+    expect(quietWindowAt(at(FRI, 23), quiet())).toEqual({ start: at(FRI, 22), end: at(FRI + 1, 7) });
+  });
+
+  it("attributes the small hours to the previous day's window", () => {
+    expect(quietWindowAt(at(FRI + 1, 6, 30), quiet())).toEqual({
+      start: at(FRI, 22),
+      end: at(FRI + 1, 7),
+    });
+  });
+
+  it("treats the end as exclusive and the start as inclusive", () => {
+    expect(quietWindowAt(at(FRI + 1, 7), quiet())).toBeNull();
+    expect(quietWindowAt(at(FRI, 22), quiet())).not.toBeNull();
+    expect(quietWindowAt(at(FRI, 21, 59), quiet())).toBeNull();
+  });
+
+  it("follows each weekday's own window", () => {
+    const days = DEFAULT_QUIET_HOURS.days.map((d) => ({ ...d }));
+    days[5] = null; // no quiet hours on Friday night
+    days[6] = { start: "23:30", end: "09:00" };
+    const q = quiet({ days });
+
+    expect(quietWindowAt(at(FRI, 23), q)).toBeNull();
+    expect(quietWindowAt(at(FRI + 1, 6, 30), q)).toBeNull();
+    expect(quietWindowAt(at(FRI + 2, 8), q)).toEqual({ start: at(FRI + 1, 23, 30), end: at(FRI + 2, 9) });
+  });
+
+  it("handles windows within a single day", () => {
+    const days = DEFAULT_QUIET_HOURS.days.map(() => ({ start: "13:00", end: "15:00" }));
+    const q = quiet({ days });
+    expect(quietWindowAt(at(FRI, 14), q)).toEqual({ start: at(FRI, 13), end: at(FRI, 15) });
+    expect(quietWindowAt(at(FRI, 15), q)).toBeNull();
+    expect(quietWindowAt(at(FRI, 2), q)).toBeNull();
+  });
+});
+
+describe("resolveQuietTime", () => {
+  it("pushes outside quiet hours", () => {
+    expect(resolveQuietTime(at(FRI, 12), "warning", quiet())).toEqual({
+      at: at(FRI, 12).toISOString(),
+      kind: "push",
+    });
+  });
+
+  it("defers to the end of the window", () => {
+    expect(resolveQuietTime(at(FRI, 23), "warning", quiet())).toEqual({
+      at: at(FRI + 1, 7).toISOString(),
+      kind: "deferred",
+    });
+  });
+
+  it("suppresses in suppress mode", () => {
+    expect(resolveQuietTime(at(FRI, 23), "warning", quiet({ mode: "suppress" })).kind).toBe("suppressed");
+  });
+
+  it("lets severe alerts break through unless that's switched off", () => {
+    expect(resolveQuietTime(at(FRI, 23), "severe", quiet()).kind).toBe("push");
+    expect(resolveQuietTime(at(FRI, 23), "severe", quiet({ severeBreaksThrough: false })).kind).toBe(
+      "deferred"
+    );
+  });
+});
@@ -0,0 +1,104 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import { assessSlot, findBadWeatherEpisodes, describeEpisode } from "../weatherLogic";
+import { DEFAULT_RULES } from "../alertRules";
+
+dayjs.extend(utc);
+
+const NOW = Date.parse("2025-01-03T10:30:00Z");
+const hour = (h) => new Date(Date.UTC(2025, 0, 3, h)).toISOString();
+const hhmm = (h) => dayjs(hour(h)).format("HH:mm");
+// Mild and dry unless a test says otherwise
+const slot = (h, changes = {}) => ({ time: hour(h), feelsLikeC: 12, rainMM: 0, windMS: 3, ...changes });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("assessSlot", () => {
+  it("counts only the first matching rule of a group", () => {
+    const a = assessSlot(slot(11, { rainMM: 3 }), DEFAULT_RULES);
+    expect(a.rules).toEqual(["heavy-rain"]);
+    expect(a.severity).toBe("warning");
+  });
+
+  it("ranks a heavier hour above a lighter one", () => {
+    const light = assessSlot(slot(11, { rainMM: 0.5 }), DEFAULT_RULES);
+    const heavy = assessSlot(slot(11, { rainMM: 3 }), DEFAULT_RULES);
+    expect(heavy.intensity).toBeGreaterThan(light.intensity);
+  });
+});
+
+describe("findBadWeatherEpisodes", () => {
+  it("groups contiguous bad hours and skips hours already over", () => {
+    const forecast = [
+      slot(9, { rainMM: 1 }), // over
+      slot(10, { rainMM: 1 }), // current hour
+      slot(11, { rainMM: 1 }),
+      slot(12),
+      slot(13, { windMS: 12 }),
+    ];
+    const episodes = findBadWeatherEpisodes(forecast, DEFAULT_RULES);
+
+    expect(episodes).toHaveLength(2);
+    expect(episodes[0]).toMatchObject({ start: hour(10), end: hour(12), reasons: ["rain"] });
+    expect(episodes[0].slots).toHaveLength(2);
+    expect(episodes[1]).toMatchObject({ start: hour(13), end: hour(14), reasons: ["strong wind"] });
+  });
+
+  it("splits on a gap in the timeline", () => {
+    const forecast = [slot(11, { rainMM: 1 }), slot(14, { rainMM: 1 })];
+    expect(findBadWeatherEpisodes(forecast, DEFAULT_RULES).map((e) => e.start)).toEqual([
+      hour(11),
+      hour(14),
+    ]);
+  });
+
+  it("labels a group by its first rule and advises by its strongest", () => {
+    const forecast = [slot(11, { rainMM: 0.5 }), slot(12, { rainMM: 3 }), slot(13, { rainMM: 0.5 })];
+    const [episode] = findBadWeatherEpisodes(forecast, DEFAULT_RULES);
+
+    expect(episode.reasons).toEqual(["rain"]);
+    expect(episode.advice).toBe("Bring a sturdy umbrella and waterproof jacket.");
+    expect(episode.severity).toBe("warning");
+    expect(episode.peakTime).toBe(hour(12));
+  });
+
+  it("lists every group seen, in order", () => {
+    const forecast = [slot(11, { rainMM: 0.5 }), slot(12, { rainMM: 0.5, windMS: 12 })];
+    const [episode] = findBadWeatherEpisodes(forecast, DEFAULT_RULES);
+    expect(episode.reasons).toEqual(["rain", "strong wind"]);
+    expect(episode.rules.map((r) => r.id)).toEqual(["rain", "wind"]);
+  });
+});
+
+describe("describeEpisode", () => {
+  it("names a single hour", () => {
+    const [episode] = findBadWeatherEpisodes([slot(11, { rainMM: 1 })], DEFAULT_RULES);
+    expect(describeEpisode(episode)).toBe(`Rain around ${hhmm(11)}`);
+  });
+
+  it("gives the span and the heaviest hour", () => {
+    const forecast = [slot(11, { rainMM: 0.5 }), slot(12, { rainMM: 1.5 }), slot(13, { rainMM: 0.5 })];
+    const [episode] = findBadWeatherEpisodes(forecast, DEFAULT_RULES);
+    expect(describeEpisode(episode)).toBe(`Rain ${hhmm(11)}–${hhmm(14)}, heaviest ${hhmm(12)}`);
+  });
+
+  it("times the superlative from the headline rule, not the worst hour overall", () => {
+    const forecast = [
+      slot(11, { rainMM: 1.5 }),
+      slot(12, { rainMM: 0.3 }),
+      slot(13, { rainMM: 0.3, windMS: 25 }), // worst hour overall, for the wind
+    ];
+    const [episode] = findBadWeatherEpisodes(forecast, DEFAULT_RULES);
+
+    expect(episode.peakTime).toBe(hour(13));
+    expect(describeEpisode(episode)).toBe(
+      `Rain, strong wind ${hhmm(11)}–${hhmm(14)}, heaviest ${hhmm(11)}`
+    );
+  });
+});
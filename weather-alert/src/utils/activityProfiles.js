@@ -0,0 +1,149 @@
+import { DEFAULT_RULES } from "./alertRules";
+
+const rule = (id, label, param, comparator, threshold, advice, extra = {}) => ({
+  id,
+  label,
+  param,
+  comparator,
+  threshold,
+  durationH: 1,
+  advice,
+  enabled: true,
+  ...extra,
+});
+
+/**
+ * What counts as bad weather depends on what you're doing.
+ * Each profile's rules are its defaults; user edits are stored per profile in settings.
+ */
+export const PROFILES = [
+  {
+    id: "general",
+    label: "General",
+    icon: "account-outline",
+    rules: DEFAULT_RULES,
+  },
+  {
+    id: "cycling",
+    label: "Cycling",
+    icon: "bike",
+    rules: [
+      rule("heavy-rain", "heavy rain", "rainMM", ">=", 1.0, "Mudguards and waterproof trousers today.", { group: "rain", severity: "warning" }),
+      rule("rain", "rain", "rainMM", ">=", 0.2, "Pack a rain jacket for the ride.", { group: "rain" }),
+      rule("wind", "strong wind", "windMS", ">=", 7, "Expect strong headwinds; allow extra time."),
+      rule("gusts", "gusts", "gustMS", ">=", 12, "Take care on exposed roads and bridges."),
+      rule("ice", "black ice", "iceRisk", ">=", 1, "Icy patches likely: slow down on bends and avoid painted lines.", { severity: "warning" }),
+      rule("snow", "snow", "snowMM", ">=", 0.1, "Snow on the roads: consider leaving the bike at home.", { severity: "warning" }),
+      rule("cold", "cold", "feelsLikeC", "<=", 3, "Gloves and overshoes; watch for slippery patches."),
+      rule("heat", "heat", "feelsLikeC", ">=", 28, "Carry extra water and avoid midday climbs."),
+    ],
+  },
+  {
+    id: "running",
+    label: "Running",
+    icon: "run",
+    rules: [
+      rule("heavy-rain", "heavy rain", "rainMM", ">=", 2.0, "Consider the treadmill or a shorter loop.", { severity: "warning" }),
+      rule("heat", "heat", "feelsLikeC", ">=", 24, "Run early or late, ease the pace and hydrate."),
+      rule("uv", "high UV", "uvIndex", ">=", 6, "Sunscreen and a cap."),
+      rule("cold", "cold", "feelsLikeC", "<=", 0, "Layer up, wear gloves and warm up indoors."),
+      rule("wind", "strong wind", "windMS", ">=", 12, "Plan a route with the wind behind you on the way home."),
+      rule("ice", "black ice", "iceRisk", ">=", 1, "Slippery paths: trail shoes or a treadmill day.", { severity: "warning" }),
+    ],
+  },
+  {
+    id: "dog-walk",
+    label: "Dog walk",
+    icon: "dog-side",
+    rules: [
+      rule("rain", "rain", "rainMM", ">=", 0.5, "Bring a towel for the dog and a raincoat for you."),
+      rule("heat", "heat", "feelsLikeC", ">=", 25, "Hot pavements burn paws: walk early or late and bring water."),
+      rule("cold", "cold", "feelsLikeC", "<=", 0, "Keep it short; small or short-haired dogs may need a coat."),
+      rule("wind", "strong wind", "windMS", ">=", 14, "Stay clear of trees and keep the lead short."),
+      rule("ice", "black ice", "iceRisk", ">=", 1, "Stick to gritted paths and rinse road salt off paws afterwards."),
+    ],
+  },
+  {
+    id: "commute",
+    label: "Commute",
+    icon: "train-car",
+    rules: [
+      rule("heavy-rain", "heavy rain", "rainMM", ">=", 2.0, "Leave a little earlier; expect slower traffic.", { group: "rain", severity: "warning" }),
+      rule("rain", "rain", "rainMM", ">=", 0.2, "Take an umbrella for the walk to the station.", { group: "rain" }),
+      rule("wind", "strong wind", "windMS", ">=", 12, "Possible delays on exposed routes."),
+      rule("cold", "frost risk", "tempC", "<=", 1, "Allow time to clear the windscreen."),
+      rule("fog", "poor visibility", "visibilityM", "<", 1000, "Use dipped headlights and allow extra time."),
+      rule("snow", "snow", "snowCM", ">=", 0.5, "Check travel updates before you leave.", { severity: "warning" }),
+      rule("freezing-rain", "freezing rain", "freezingRainMM", ">=", 0.1, "Roads and platforms will glaze over: travel only if you must.", { severity: "severe" }),
+      rule("ice", "black ice", "iceRisk", ">=", 1, "Black ice likely: allow extra time and grit the drive.", { severity: "warning" }),
+    ],
+  },
+];
+
+export const DEFAULT_PROFILE_ID = "general";
+
+export function getProfile(id) {
+  return PROFILES.find((p) => p.id === id) || PROFILES[0];
+}
+
+/**
+ * Changes to the built-in rules that edited (stored) rule lists need as well, oldest first.
+ * Stored settings record how many have been applied as `rulesVersion` (missing = 1).
+ * `params`: built-in rules move off an old parameter, where the profile's default now
+ * uses the new one (commute's frost rule deliberately stays on air temperature).
+ * `added`: built-in rules a profile gained, copied in (enabled as the defaults are)
+ * unless the list already has them.
+ */
+const RULE_MIGRATIONS = [
+  // Cold/heat use feels-like; rain rules count rain only, not snow or sleet
+  { params: { tempC: "feelsLikeC", precipMM: "rainMM" } },
+  // Snow, sleet, freezing rain and black ice
+  {
+    added: {
+      general: ["freezing-rain", "snow", "sleet", "ice"],
+      cycling: ["ice", "snow"],
+      running: ["ice"],
+      "dog-walk": ["ice"],
+      commute: ["freezing-rain", "ice"],
+    },
+  },
+];
+
+export const RULES_VERSION = RULE_MIGRATIONS.length + 1;
+
+/** Insert `rule` after the nearest built-in rule that precedes it in `defaults`, else first */
+function insertInDefaultOrder(rules, rule, defaults) {
+  const before = defaults.slice(0, defaults.findIndex((d) => d.id === rule.id)).reverse();
+  const anchor = before.map((d) => rules.findIndex((r) => r.id === d.id)).find((i) => i >= 0) ?? -1;
+  return [...rules.slice(0, anchor + 1), rule, ...rules.slice(anchor + 1)];
+}
+
+function migrateRules(rules, profileId, defaults, { params = {}, added = {} }) {
+  let next = rules.map((r) => {
+    const builtIn = defaults.find((d) => d.id === r.id);
+    const param = params[r.param];
+    return builtIn && param && builtIn.param === param ? { ...r, param } : r;
+  });
+  (added[profileId] ?? []).forEach((id) => {
+    const rule = defaults.find((d) => d.id === id);
+    if (rule && !next.some((r) => r.id === id)) next = insertInDefaultOrder(next, rule, defaults);
+  });
+  return next;
+}
+
+/** Bring stored per-profile rules saved at `fromVersion` up to RULES_VERSION */
+export function migrateRulesByProfile(rulesByProfile = {}, fromVersion = 1) {
+  const pending = RULE_MIGRATIONS.slice(Math.max(0, fromVersion - 1));
+  if (!pending.length) return rulesByProfile;
+  return Object.fromEntries(
+    Object.entries(rulesByProfile).map(([id, rules]) => {
+      const defaults = getProfile(id).rules;
+      return [id, pending.reduce((list, step) => migrateRules(list, id, defaults, step), rules)];
+    })
+  );
+}
+
+/** Rules in effect for a profile: the user's edited copy, else the profile defaults */
+export function rulesForProfile(settings, id = settings.activeProfile) {
+  return settings.rulesByProfile?.[id] ?? getProfile(id).rules;
+}
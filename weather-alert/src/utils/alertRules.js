@@ -0,0 +1,204 @@
+import { bumpSeverity } from "./severity";
+
+/**
+ * Alert rules: "bad weather" is whatever the user's enabled rules say it is.
+ * A rule is { id, label, param, comparator, threshold, durationH, advice, group?, severity?, enabled }.
+ * Rules sharing a `group` are alternatives: only the first match (in list order) counts,
+ * so "heavy rain" wins over "rain". `severity` is the base level (default advisory).
+ */
+
+// severityStep: how far past the threshold raises the severity by one level
+export const RULE_PARAMETERS = {
+  precipMM: { label: "Precipitation (1h)", unit: "mm", step: 0.1, severityStep: 3 },
+  rainMM: { label: "Rain (1h)", unit: "mm", step: 0.1, severityStep: 3 },
+  sleetMM: { label: "Sleet (1h)", unit: "mm", step: 0.1, severityStep: 3 },
+  snowMM: { label: "Snow (1h, water)", unit: "mm", step: 0.1, severityStep: 1.5 },
+  freezingRainMM: { label: "Freezing rain (1h)", unit: "mm", step: 0.1, severityStep: 1 },
+  iceRisk: { label: "Black-ice risk (1 = yes)", unit: "", step: 1 },
+  windMS: { label: "Wind", unit: "m/s", step: 1, severityStep: 5 },
+  gustMS: { label: "Gusts", unit: "m/s", step: 1, severityStep: 7 },
+  tempC: { label: "Temperature", unit: "°C", step: 1, severityStep: 5 },
+  feelsLikeC: { label: "Feels like", unit: "°C", step: 1, severityStep: 5 },
+  apparentTempC: { label: "Apparent temp.", unit: "°C", step: 1, severityStep: 5 },
+  humidityPct: { label: "Humidity", unit: "%", step: 5, severityStep: 15 },
+  uvIndex: { label: "UV index", unit: "", step: 1, severityStep: 3 },
+  visibilityM: { label: "Visibility", unit: "m", step: 100, severityStep: 400 },
+  snowCM: { label: "Fresh snow (1h)", unit: "cm", step: 0.5, severityStep: 1 },
+};
+
+export const COMPARATORS = {
+  ">=": (v, t) => v >= t,
+  ">": (v, t) => v > t,
+  "<=": (v, t) => v <= t,
+  "<": (v, t) => v < t,
+};
+
+export const DEFAULT_RULES = [
+  {
+    id: "heavy-rain",
+    label: "heavy rain",
+    param: "rainMM",
+    comparator: ">=",
+    threshold: 2.0, // ≥2 mm in the hour
+    durationH: 1,
+    advice: "Bring a sturdy umbrella and waterproof jacket.",
+    group: "rain",
+    severity: "warning",
+    enabled: true,
+  },
+  {
+    id: "rain",
+    label: "rain",
+    param: "rainMM",
+    comparator: ">=",
+    threshold: 0.2, // any notable rain
+    durationH: 1,
+    advice: "Pack an umbrella or raincoat.",
+    group: "rain",
+    enabled: true,
+  },
+  {
+    id: "freezing-rain",
+    label: "freezing rain",
+    param: "freezingRainMM",
+    comparator: ">=",
+    threshold: 0.1,
+    durationH: 1,
+    advice: "Freezing rain glazes everything: avoid travel if you can, and walk with care.",
+    severity: "severe",
+    enabled: true,
+  },
+  {
+    id: "snow",
+    label: "snow",
+    param: "snowMM",
+    comparator: ">=",
+    threshold: 0.2, // ~2 mm of fresh snow
+    durationH: 1,
+    advice: "Wear boots with grip and allow extra travel time.",
+    severity: "advisory",
+    enabled: true,
+  },
+  {
+    id: "sleet",
+    label: "sleet",
+    param: "sleetMM",
+    comparator: ">=",
+    threshold: 0.2,
+    durationH: 1,
+    advice: "Wet and slushy: waterproof shoes and a hooded coat.",
+    enabled: true,
+  },
+  {
+    id: "ice",
+    label: "black ice",
+    param: "iceRisk",
+    comparator: ">=",
+    threshold: 1,
+    durationH: 1,
+    advice: "Wet surfaces will freeze: watch for black ice on paths and roads.",
+    severity: "warning",
+    enabled: true,
+  },
+  {
+    id: "wind",
+    label: "strong wind",
+    param: "windMS",
+    comparator: ">=",
+    threshold: 10, // ~36 km/h
+    durationH: 1,
+    advice: "Wear a windbreaker and secure loose items.",
+    enabled: true,
+  },
+  {
+    id: "cold",
+    label: "cold",
+    param: "feelsLikeC", // wind chill / heat index included
+    comparator: "<=",
+    threshold: 3,
+    durationH: 1,
+    advice: "Dress warmly (coat, gloves).",
+    enabled: true,
+  },
+  {
+    id: "heat",
+    label: "heat",
+    param: "feelsLikeC", // wind chill / heat index included
+    comparator: ">=",
+    threshold: 30,
+    durationH: 1,
+    advice: "Stay hydrated and wear sunscreen.",
+    enabled: true,
+  },
+];
+
+/** A blank custom rule for the settings editor */
+export function createRule() {
+  return {
+    id: `custom-${Date.now().toString(36)}`,
+    label: "gusty",
+    param: "gustMS",
+    comparator: ">=",
+    threshold: 15,
+    durationH: 1,
+    advice: "Watch out for sudden gusts.",
+    severity: "advisory",
+    enabled: true,
+  };
+}
+
+/** Does the slot on its own satisfy the rule's comparison? Missing values never match. */
+export function slotMatchesRule(rule, slot) {
+  const value = slot?.[rule.param];
+  const compare = COMPARATORS[rule.comparator];
+  if (!compare || !Number.isFinite(value) || !Number.isFinite(Number(rule.threshold))) return false;
+  return compare(value, Number(rule.threshold));
+}
+
+/**
+ * How far past its threshold a slot is for a rule, relative to the threshold
+ * (0 = just at it). Lets us compare "how bad" hours are across parameters.
+ */
+export function ruleExceedance(rule, slot) {
+  const value = slot?.[rule.param];
+  const threshold = Number(rule.threshold);
+  if (!Number.isFinite(value) || !Number.isFinite(threshold)) return 0;
+  const scale = Math.max(Math.abs(threshold), 1);
+  const below = rule.comparator === "<=" || rule.comparator === "<";
+  return Math.max(0, (below ? threshold - value : value - threshold) / scale);
+}
+
+/**
+ * Severity of a matching slot for a rule: the rule's base level, one level
+ * higher for every `severityStep` of its parameter past the threshold.
+ */
+export function ruleSeverity(rule, slot) {
+  const value = slot?.[rule.param];
+  const threshold = Number(rule.threshold);
+  const step = RULE_PARAMETERS[rule.param]?.severityStep;
+  const base = rule.severity || "advisory";
+  if (!Number.isFinite(value) || !Number.isFinite(threshold) || !step) return base;
+  const below = rule.comparator === "<=" || rule.comparator === "<";
+  const excess = below ? threshold - value : value - threshold;
+  return bumpSeverity(base, Math.floor(excess / step));
+}
+
+/**
+ * Length of the run of consecutive matching slots that contains `index`.
+ * Used for rules with durationH > 1 ("rain for at least 3 hours").
+ */
+export function matchingRunLength(rule, forecast, index) {
+  if (!slotMatchesRule(rule, forecast[index])) return 0;
+  let start = index;
+  let end = index;
+  while (start > 0 && slotMatchesRule(rule, forecast[start - 1])) start--;
+  while (end < forecast.length - 1 && slotMatchesRule(rule, forecast[end + 1])) end++;
+  return end - start + 1;
+}
+
+export function describeRule(rule) {
+  const meta = RULE_PARAMETERS[rule.param];
+  const unit = meta?.unit ? ` ${meta.unit}` : "";
+  const duration = rule.durationH > 1 ? ` for ${rule.durationH}h+` : "";
+  return `${meta?.label ?? rule.param} ${rule.comparator} ${rule.threshold}${unit}${duration}`;
+}
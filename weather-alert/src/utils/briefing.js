@@ -0,0 +1,104 @@
+import dayjs from "dayjs";
+import { assessSlot } from "./weatherLogic";
+import { DEFAULT_RULES } from "./alertRules";
+import { PRECIP_TYPES } from "./precipitation";
+import { severityRank } from "./severity";
+import { parseTimeOfDay } from "./quietHours";
+
+/** Daily briefing: one notification at a chosen time of day summarising the rest of that day */
+export const DEFAULT_BRIEFING = { enabled: false, time: "07:00" };
+
+const SLOT_MS = 60 * 60 * 1000;
+const isNum = (v) => Number.isFinite(v);
+const hhmm = (iso) => dayjs(iso).local().format("HH:mm");
+
+/** Next time the briefing is due: today at `time` if that's still ahead, otherwise tomorrow */
+export function nextBriefingTime(time, now = new Date()) {
+  const [h, min] = parseTimeOfDay(time) ?? parseTimeOfDay(DEFAULT_BRIEFING.time);
+  const at = new Date(now);
+  at.setHours(h, min, 0, 0);
+  if (at <= now) at.setDate(at.getDate() + 1);
+  return at;
+}
+
+/** Contiguous wet hours as [{ types, start, end }] (end = end of the last wet hour) */
+function wetWindows(slots) {
+  const windows = [];
+  let open = null;
+  slots.forEach((slot) => {
+    const t = Date.parse(slot.time);
+    if (open && (!slot.precipType || t > open.last + SLOT_MS)) {
+      windows.push(open);
+      open = null;
+    }
+    if (!slot.precipType) return;
+    if (!open) open = { types: new Set(), start: slot.time, last: t };
+    open.types.add(slot.precipType);
+    open.last = t;
+  });
+  if (open) windows.push(open);
+  return windows.map(({ types, start, last }) => ({
+    types: [...types],
+    start,
+    end: new Date(last + SLOT_MS).toISOString(),
+  }));
+}
+
+/** "Rain 14:00–17:00, sleet and snow 20:00–23:00" */
+function describeWindows(windows) {
+  const text = windows
+    .map((w) => {
+      const what = w.types.map((t) => PRECIP_TYPES[t]?.label.toLowerCase() ?? t).join(" and ");
+      return `${what} ${hhmm(w.start)}–${hhmm(w.end)}`;
+    })
+    .join(", ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Summarise the day from `at` until midnight: high/low, precipitation windows,
+ * wind and the advice for the worst hour under `rules`.
+ * Resolves to { title, body }, or null if the forecast doesn't reach that day.
+ */
+export function buildBriefing(forecast, rules = DEFAULT_RULES, { at, place = null } = {}) {
+  const from = dayjs(at).startOf("hour");
+  const until = dayjs(at).endOf("day");
+  const day = forecast.filter((s) => {
+    const t = dayjs(s.time);
+    return !t.isBefore(from) && !t.isAfter(until);
+  });
+  if (!day.length) return null;
+
+  const lines = [];
+  const temps = day.map((s) => s.tempC).filter(isNum);
+  if (temps.length) {
+    lines.push(`High ${Math.round(Math.max(...temps))}° · low ${Math.round(Math.min(...temps))}°`);
+  }
+
+  const windows = wetWindows(day);
+  lines.push(windows.length ? describeWindows(windows) : "Dry all day");
+
+  const winds = day.map((s) => s.windMS).filter(isNum);
+  const gusts = day.map((s) => s.gustMS).filter(isNum);
+  if (winds.length) {
+    const gustKmh = gusts.length ? Math.round(Math.max(...gusts) * 3.6) : 0;
+    let wind = `Wind up to ${Math.round(Math.max(...winds) * 3.6)} km/h`;
+    if (gustKmh >= 40) wind += `, gusts ${gustKmh} km/h`;
+    lines.push(wind);
+  }
+
+  // Worst hour of the day: highest severity, then intensity
+  let worst = null;
+  day.forEach((slot) => {
+    const a = assessSlot(slot, rules, forecast);
+    if (!a.isBad) return;
+    const rank = severityRank(a.severity);
+    if (!worst || rank > worst.rank || (rank === worst.rank && a.intensity > worst.a.intensity)) {
+      worst = { a, rank };
+    }
+  });
+  const advice = worst?.a.matched.find((r) => r.advice)?.advice;
+  if (advice) lines.push(advice);
+
+  return { title: place ? `Today in ${place}` : "Today’s weather", body: lines.join("\n") };
+}
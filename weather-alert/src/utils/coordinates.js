@@ -0,0 +1,156 @@
+// Local parsing for raw coordinate input in place search:
+//   decimal   "53.35, -6.26"  "53.35N 6.26W"
+//   DMS       "53°21'N 6°15'W"  "53°21'30.5\"N, 6°15'10\"W"
+//   plus code "9C5M8PRH+XX" (full) or "8PRH+XX Dublin" (short + locality)
+
+export class InvalidCoordinatesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidCoordinatesError";
+  }
+}
+
+function checkRange(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new InvalidCoordinatesError("Couldn't read those coordinates.");
+  }
+  if (lat < -90 || lat > 90) throw new InvalidCoordinatesError("Latitude must be between -90 and 90.");
+  if (lon < -180 || lon > 180) throw new InvalidCoordinatesError("Longitude must be between -180 and 180.");
+  return { lat, lon };
+}
+
+const signFor = (hemi, value) => (hemi === "S" || hemi === "W" ? -Math.abs(value) : value);
+
+/* ---------- Decimal degrees ---------- */
+const NUM = "([-+]?\\d{1,3}(?:\\.\\d+)?)";
+const DECIMAL_RE = new RegExp(`^${NUM}\\s*°?\\s*([NS])?\\s*[,;\\s]\\s*${NUM}\\s*°?\\s*([EW])?$`, "i");
+
+function parseDecimal(text) {
+  const m = text.match(DECIMAL_RE);
+  if (!m) return null;
+  const lat = signFor(m[2]?.toUpperCase(), Number(m[1]));
+  const lon = signFor(m[4]?.toUpperCase(), Number(m[3]));
+  return { ...checkRange(lat, lon), format: "decimal" };
+}
+
+/* ---------- Degrees / minutes / seconds ---------- */
+const DMS_PART = "(\\d{1,3})\\s*°\\s*(?:(\\d{1,2}(?:\\.\\d+)?)\\s*['′]\\s*)?(?:(\\d{1,2}(?:\\.\\d+)?)\\s*(?:\"|″|'')\\s*)?([NSEW])";
+const DMS_RE = new RegExp(`^${DMS_PART}[,;\\s]*${DMS_PART}$`, "i");
+
+function dmsToDecimal(deg, min, sec, hemi) {
+  const m = Number(min || 0);
+  const s = Number(sec || 0);
+  if (m >= 60 || s >= 60) throw new InvalidCoordinatesError("Minutes and seconds must be below 60.");
+  return signFor(hemi, Number(deg) + m / 60 + s / 3600);
+}
+
+function parseDms(text) {
+  const m = text.match(DMS_RE);
+  if (!m) return null;
+  const a = { value: dmsToDecimal(m[1], m[2], m[3], m[4].toUpperCase()), hemi: m[4].toUpperCase() };
+  const b = { value: dmsToDecimal(m[5], m[6], m[7], m[8].toUpperCase()), hemi: m[8].toUpperCase() };
+  const isLat = (h) => h === "N" || h === "S";
+  if (isLat(a.hemi) === isLat(b.hemi)) {
+    throw new InvalidCoordinatesError("Give one latitude (N/S) and one longitude (E/W).");
+  }
+  const [lat, lon] = isLat(a.hemi) ? [a.value, b.value] : [b.value, a.value];
+  return { ...checkRange(lat, lon), format: "dms" };
+}
+
+/* ---------- Open Location Code (plus codes) ---------- */
+const OLC_ALPHABET = "23456789CFGHJMPQRVWX";
+const PAIR_LENGTH = 10;
+const GRID_ROWS = 5;
+const GRID_COLS = 4;
+const FULL_RE = /^[23456789CFGHJMPQRVWX]{2,8}0*\+[23456789CFGHJMPQRVWX]*$/i;
+const SHORT_RE = /^([23456789CFGHJMPQRVWX]{2,6}\+[23456789CFGHJMPQRVWX]{2,})(?:[\s,]+(.+))?$/i;
+
+/** Decode a full plus code to its centre */
+export function decodePlusCode(code) {
+  const digits = code.toUpperCase().replace("+", "").replace(/0+$/, "");
+  let lat = -90;
+  let lon = -180;
+  let latRes = 400;
+  let lonRes = 400;
+  for (let i = 0; i < Math.min(digits.length, PAIR_LENGTH); i += 2) {
+    latRes /= 20;
+    lonRes /= 20;
+    lat += OLC_ALPHABET.indexOf(digits[i]) * latRes;
+    lon += OLC_ALPHABET.indexOf(digits[i + 1] ?? "2") * lonRes;
+  }
+  for (let i = PAIR_LENGTH; i < digits.length; i++) {
+    const idx = OLC_ALPHABET.indexOf(digits[i]);
+    latRes /= GRID_ROWS;
+    lonRes /= GRID_COLS;
+    lat += Math.floor(idx / GRID_COLS) * latRes;
+    lon += (idx % GRID_COLS) * lonRes;
+  }
+  return {
+    lat: Math.min(90, lat + latRes / 2),
+    lon: lon + lonRes / 2,
+  };
+}
+
+/** First `length` pair digits of the code for a point (enough to prefix a short code) */
+function encodePrefix(lat, lon, length) {
+  let la = Math.min(89.999999, Math.max(-90, lat)) + 90;
+  let lo = (((lon + 180) % 360) + 360) % 360;
+  let res = 20;
+  let out = "";
+  while (out.length < length) {
+    const dLat = Math.floor(la / res);
+    const dLon = Math.floor(lo / res);
+    la -= dLat * res;
+    lo -= dLon * res;
+    out += OLC_ALPHABET[dLat] + OLC_ALPHABET[dLon];
+    res /= 20;
+  }
+  return out.slice(0, length);
+}
+
+/** Recover a short code (e.g. "8PRH+XX") using a nearby reference point */
+export function recoverPlusCode(shortCode, refLat, refLon) {
+  const code = shortCode.toUpperCase();
+  const padding = 8 - code.indexOf("+");
+  const resolution = 20 ** (2 - padding / 2);
+  const half = resolution / 2;
+  let { lat, lon } = decodePlusCode(encodePrefix(refLat, refLon, padding) + code);
+
+  // Pick the candidate cell closest to the reference
+  if (refLat + half < lat && lat - resolution >= -90) lat -= resolution;
+  else if (refLat - half > lat && lat + resolution <= 90) lat += resolution;
+  if (refLon + half < lon) lon -= resolution;
+  else if (refLon - half > lon) lon += resolution;
+  if (lon > 180) lon -= 360;
+  if (lon < -180) lon += 360;
+  return { lat, lon };
+}
+
+function parsePlusCode(text) {
+  const compact = text.replace(/\s+/g, "");
+  if (FULL_RE.test(compact) && compact.indexOf("+") === 8) {
+    const first = OLC_ALPHABET.indexOf(compact[0].toUpperCase());
+    const second = OLC_ALPHABET.indexOf(compact[1].toUpperCase());
+    if (first > 8 || second > 17) throw new InvalidCoordinatesError("That plus code is out of range.");
+    return { ...checkRange(...Object.values(decodePlusCode(compact))), format: "pluscode" };
+  }
+  const short = text.trim().match(SHORT_RE);
+  if (short && short[1].indexOf("+") % 2 === 0) {
+    // Needs a reference point; the caller geocodes `locality` to get one
+    return { shortCode: short[1].toUpperCase(), locality: short[2]?.trim() || null, format: "pluscode-short" };
+  }
+  return null;
+}
+
+/**
+ * Recognise raw coordinates in a search query.
+ * Returns { lat, lon, format }, { shortCode, locality, format: "pluscode-short" } or null
+ * when the text isn't coordinate-like. Throws InvalidCoordinatesError for out-of-range input.
+ */
+export function parseCoordinateQuery(text) {
+  const q = (text || "").trim();
+  if (!q) return null;
+  return parseDecimal(q) || parseDms(q) || parsePlusCode(q);
+}
+
+export const formatCoords = (lat, lon) => `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
@@ -0,0 +1,63 @@
+import dayjs from "dayjs";
+
+const DAYTIME_START = 6;
+const DAYTIME_END = 21;
+
+const finite = (v) => Number.isFinite(v);
+
+/**
+ * Most frequent daytime symbol (day variant), falling back to all hours.
+ * Ties go to the higher code, which is roughly the "more eventful" weather.
+ */
+function dominantSymbol(slots) {
+  const daytime = slots.filter((s) => {
+    const h = dayjs(s.time).hour();
+    return h >= DAYTIME_START && h <= DAYTIME_END;
+  });
+  const counts = {};
+  (daytime.length ? daytime : slots).forEach((s) => {
+    if (!finite(s.symbol) || s.symbol <= 0) return;
+    const code = s.symbol % 100;
+    counts[code] = (counts[code] || 0) + 1;
+  });
+  let best = 0;
+  let bestCount = 0;
+  Object.entries(counts).forEach(([code, n]) => {
+    const c = Number(code);
+    if (n > bestCount || (n === bestCount && c > best)) {
+      best = c;
+      bestCount = n;
+    }
+  });
+  return best;
+}
+
+/**
+ * Group hourly slots by local calendar day.
+ * Returns [{ date, minC, maxC, precipMM, windMaxMS, gustMaxMS, symbol }]
+ */
+export function aggregateDaily(slots = []) {
+  const byDay = {};
+  slots.forEach((s) => {
+    const date = dayjs(s.time).format("YYYY-MM-DD");
+    (byDay[date] = byDay[date] || []).push(s);
+  });
+
+  return Object.keys(byDay)
+    .sort()
+    .map((date) => {
+      const day = byDay[date];
+      const temps = day.map((s) => s.tempC).filter(finite);
+      const winds = day.map((s) => s.windMS).filter(finite);
+      const gusts = day.map((s) => s.gustMS).filter(finite);
+      return {
+        date,
+        minC: temps.length ? Math.min(...temps) : null,
+        maxC: temps.length ? Math.max(...temps) : null,
+        precipMM: day.reduce((sum, s) => sum + (finite(s.precipMM) ? s.precipMM : 0), 0),
+        windMaxMS: winds.length ? Math.max(...winds) : null,
+        gustMaxMS: gusts.length ? Math.max(...gusts) : null,
+        symbol: dominantSymbol(day),
+      };
+    });
+}
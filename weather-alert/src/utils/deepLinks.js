@@ -0,0 +1,38 @@
+/**
+ * weatheralert:// links (the scheme in app.config.js), e.g.
+ * weatheralert://forecast?lat=53.35&lon=-6.27&city=Dublin&time=2025-01-01T14:00:00.000Z
+ * Notifications carry one so tapping opens the app on that place and hour.
+ */
+const FORECAST_LINK = /^weatheralert:\/\/\/?forecast\/?(?:\?(.*))?$/i;
+
+export function forecastLink({ lat, lon, city = null, time = null }) {
+  const params = { lat: Number(lat).toFixed(4), lon: Number(lon).toFixed(4), city, time };
+  const query = Object.entries(params)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+    .join("&");
+  return `weatheralert://forecast?${query}`;
+}
+
+/** Link -> { lat, lon, city, time }, or null if it isn't a forecast link */
+export function parseForecastLink(url) {
+  const m = FORECAST_LINK.exec(String(url ?? "").trim());
+  if (!m) return null;
+
+  const params = {};
+  (m[1] || "").split("&").forEach((pair) => {
+    const [k, v = ""] = pair.split("=");
+    if (!k) return;
+    try {
+      params[k] = decodeURIComponent(v.replace(/\+/g, " "));
+    } catch {
+      params[k] = v;
+    }
+  });
+
+  const lat = Number(params.lat);
+  const lon = Number(params.lon);
+  if (!params.lat || !params.lon || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const time = params.time && !Number.isNaN(Date.parse(params.time)) ? params.time : null;
+  return { lat, lon, city: params.city || null, time };
+}
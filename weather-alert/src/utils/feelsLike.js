@@ -0,0 +1,61 @@
+/**
+ * Apparent ("feels like") temperature. Providers that supply one (apparentTempC)
+ * win; otherwise we derive wind chill when it's cold and windy, the heat index
+ * when it's hot and humid, and fall back to the air temperature.
+ */
+
+const isNum = (v) => Number.isFinite(v);
+
+/** Wind chill (Environment Canada / NWS, metric). Defined for ≤10 °C and wind > 4.8 km/h */
+export function windChillC(tempC, windMS) {
+  const kmh = windMS * 3.6;
+  if (!isNum(tempC) || !isNum(kmh) || tempC > 10 || kmh <= 4.8) return null;
+  const v = kmh ** 0.16;
+  return 13.12 + 0.6215 * tempC - 11.37 * v + 0.3965 * tempC * v;
+}
+
+/** Heat index (NWS Rothfusz regression with its adjustments). Defined from ~27 °C */
+export function heatIndexC(tempC, humidityPct) {
+  if (!isNum(tempC) || !isNum(humidityPct) || tempC < 27) return null;
+  const t = tempC * 1.8 + 32;
+  const rh = humidityPct;
+
+  // Below ~80 °F the simple formula is accurate enough
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((hi + t) / 2 >= 80) {
+    hi =
+      -42.379 +
+      2.04901523 * t +
+      10.14333127 * rh -
+      0.22475541 * t * rh -
+      0.00683783 * t * t -
+      0.05481717 * rh * rh +
+      0.00122874 * t * t * rh +
+      0.00085282 * t * rh * rh -
+      0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+  return (hi - 32) / 1.8;
+}
+
+/** Best available feels-like temperature for a slot, or null without a temperature */
+export function feelsLikeC(slot) {
+  if (isNum(slot?.apparentTempC)) return slot.apparentTempC;
+  if (!isNum(slot?.tempC)) return null;
+  const chill = windChillC(slot.tempC, slot.windMS);
+  if (chill != null) return Math.min(chill, slot.tempC);
+  const heat = heatIndexC(slot.tempC, slot.humidityPct);
+  if (heat != null) return Math.max(heat, slot.tempC);
+  return slot.tempC;
+}
+
+/** Slot with `feelsLikeC` filled in */
+export function withFeelsLike(slot) {
+  if (!slot) return slot;
+  const value = feelsLikeC(slot);
+  return { ...slot, feelsLikeC: value == null ? null : Math.round(value * 10) / 10 };
+}
@@ -0,0 +1,12 @@
+const R_KM = 6371;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/** Great-circle (haversine) distance in km between two lat/lon points */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
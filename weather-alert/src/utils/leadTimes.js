@@ -0,0 +1,22 @@
+/** How long before an episode starts we remind people, in minutes */
+export const LEAD_TIME_OPTIONS = [15, 30, 60, 180];
+export const DEFAULT_LEAD_TIMES = [60];
+
+export function formatLeadTime(min) {
+  if (min < 60) return `${min} min`;
+  const h = min / 60;
+  return h === 1 ? "1 hour" : `${h} hours`;
+}
+
+/** [180, 15] -> "3 hours and 15 min" (longest first) */
+export function describeLeadTimes(mins) {
+  const parts = [...mins].sort((a, b) => b - a).map(formatLeadTime);
+  if (parts.length <= 1) return parts[0] ?? formatLeadTime(DEFAULT_LEAD_TIMES[0]);
+  return `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`;
+}
+
+/** Settings value -> sorted, de-duplicated, positive minutes (defaults if empty) */
+export function normalizeLeadTimes(mins) {
+  const clean = [...new Set((mins || []).map(Number).filter((m) => Number.isFinite(m) && m > 0))];
+  return clean.length ? clean.sort((a, b) => b - a) : DEFAULT_LEAD_TIMES;
+}
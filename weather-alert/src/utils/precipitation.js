@@ -0,0 +1,81 @@
+/**
+ * Precipitation type and black-ice risk. Providers that report a type
+ * (precipType) win; otherwise we read it off the weather symbol and, failing
+ * that, guess from the temperature.
+ */
+
+const isNum = (v) => Number.isFinite(v);
+
+export const PRECIP_TYPES = {
+  rain: { label: "Rain", icon: "weather-rainy" },
+  sleet: { label: "Sleet", icon: "weather-snowy-rainy" },
+  snow: { label: "Snow", icon: "weather-snowy" },
+  "freezing-rain": { label: "Freezing rain", icon: "weather-snowy-rainy" },
+  hail: { label: "Hail", icon: "weather-hail" },
+};
+
+const WET_MM = 0.1; // less than this in an hour counts as dry
+const ICE_LOOKBACK_H = 3; // wet surfaces stay wet this long before freezing
+
+// Meteomatics symbols that name a precipitation type
+const SYMBOL_TYPES = {
+  5: "rain",
+  8: "rain",
+  14: "rain",
+  15: "rain",
+  6: "sleet",
+  10: "sleet",
+  7: "snow",
+  9: "snow",
+  13: "freezing-rain",
+};
+
+/** "rain" | "sleet" | "snow" | "freezing-rain" | "hail", or null when dry */
+export function precipTypeOf(slot) {
+  const wet = slot?.precipMM >= WET_MM || slot?.snowCM > 0;
+  if (!wet) return null;
+  if (PRECIP_TYPES[slot.precipType]) return slot.precipType;
+
+  const fromSymbol = isNum(slot.symbol) ? SYMBOL_TYPES[slot.symbol % 100] : null;
+  if (fromSymbol) return fromSymbol;
+  if (!isNum(slot.tempC)) return slot.snowCM > 0 ? "snow" : "rain";
+  if (slot.tempC <= 0 || (slot.snowCM > 0 && slot.tempC <= 2)) return "snow";
+  if (slot.tempC <= 2) return "sleet";
+  return "rain";
+}
+
+const LIQUID = new Set(["rain", "sleet", "freezing-rain"]);
+
+/**
+ * Add precipType, per-type amounts (rainMM, sleetMM, snowMM, freezingRainMM;
+ * snow as water equivalent) and iceRisk (0/1) to consecutive hourly slots.
+ * Ice risk: freezing rain, or sub-zero air within a few hours of liquid precipitation.
+ */
+export function withPrecipitation(slots) {
+  const typed = slots.map((slot) => {
+    const type = precipTypeOf(slot);
+    const mm = isNum(slot.precipMM) ? slot.precipMM : 0;
+    return {
+      ...slot,
+      precipType: type,
+      rainMM: type === "rain" || type === "hail" ? mm : 0,
+      sleetMM: type === "sleet" ? mm : 0,
+      snowMM: type === "snow" ? mm : 0,
+      freezingRainMM: type === "freezing-rain" ? mm : 0,
+    };
+  });
+
+  return typed.map((slot, i) => {
+    let iceRisk = slot.precipType === "freezing-rain";
+    if (!iceRisk && isNum(slot.tempC) && slot.tempC <= 0) {
+      const since = Date.parse(slot.time) - ICE_LOOKBACK_H * 3600 * 1000;
+      for (let j = i; j >= 0 && Date.parse(typed[j].time) >= since; j--) {
+        if (LIQUID.has(typed[j].precipType)) {
+          iceRisk = true;
+          break;
+        }
+      }
+    }
+    return { ...slot, iceRisk: iceRisk ? 1 : 0 };
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * Quiet hours: one optional window per weekday (0 = Sunday, like Date#getDay).
+ * A window belongs to the day it starts on and may run past midnight
+ * ("22:00"–"07:00" on Friday covers Friday night into Saturday morning).
+ */
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const NIGHTS = { start: "22:00", end: "07:00" };
+
+export const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  mode: "defer", // "defer": one summary when the window ends; "suppress": drop
+  severeBreaksThrough: true,
+  days: WEEKDAYS.map(() => ({ ...NIGHTS })), // null = no quiet hours that day
+};
+
+/** "7:30" / "07:30" -> [7, 30], or null if it isn't a time of day */
+export function parseTimeOfDay(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(text ?? "").trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  return h < 24 && min < 60 ? [h, min] : null;
+}
+
+const at = (day, [h, min]) => {
+  const d = new Date(day);
+  d.setHours(h, min, 0, 0);
+  return d;
+};
+
+/** The quiet window containing `time` as { start, end } Dates, or null */
+export function quietWindowAt(time, quiet) {
+  if (!quiet?.enabled) return null;
+  const t = new Date(time);
+
+  // Today's window, or yesterday's if it runs past midnight
+  for (const offset of [0, -1]) {
+    const day = new Date(t);
+    day.setDate(day.getDate() + offset);
+    const spec = quiet.days?.[day.getDay()];
+    const from = parseTimeOfDay(spec?.start);
+    const to = parseTimeOfDay(spec?.end);
+    if (!from || !to) continue;
+
+    const start = at(day, from);
+    let end = at(day, to);
+    if (end <= start) {
+      const nextDay = new Date(day);
+      nextDay.setDate(nextDay.getDate() + 1);
+      end = at(nextDay, to);
+    }
+    if (t >= start && t < end) return { start, end };
+  }
+  return null;
+}
+
+/**
+ * Where a notification planned for `time` should go:
+ * { at, kind: "push" } normally, { at: windowEnd, kind: "deferred" } or
+ * { at, kind: "suppressed" } inside quiet hours. Severe alerts may break through.
+ */
+export function resolveQuietTime(time, severity, quiet) {
+  const iso = new Date(time).toISOString();
+  const window = quietWindowAt(time, quiet);
+  if (!window || (severity === "severe" && quiet.severeBreaksThrough)) return { at: iso, kind: "push" };
+  if (quiet.mode === "suppress") return { at: iso, kind: "suppressed" };
+  return { at: window.end.toISOString(), kind: "deferred" };
+}
@@ -0,0 +1,50 @@
+/**
+ * Alert severities, mildest first. Rules have a base severity that is raised
+ * when conditions go well past the rule's threshold (see ruleSeverity).
+ */
+export const SEVERITY_LEVELS = ["advisory", "warning", "severe"];
+
+export const SEVERITIES = {
+  advisory: {
+    label: "Advisory",
+    title: "Weather advisory",
+    icon: "information-outline",
+    accent: "255,210,90",
+    text: "#fff1c9",
+  },
+  warning: {
+    label: "Warning",
+    title: "Weather warning",
+    icon: "alert-outline",
+    accent: "255,150,60",
+    text: "#ffe2cc",
+  },
+  severe: {
+    label: "Severe",
+    title: "Severe weather warning",
+    icon: "alert-octagon-outline",
+    accent: "255,85,85",
+    text: "#ffd9d9",
+  },
+};
+
+/** 0 for advisory … 2 for severe; unknown or missing levels rank below advisory */
+export function severityRank(level) {
+  return SEVERITY_LEVELS.indexOf(level);
+}
+
+export function maxSeverity(a, b) {
+  return severityRank(b) > severityRank(a) ? b : a;
+}
+
+/** Raise a level by `steps`, capped at severe */
+export function bumpSeverity(level, steps) {
+  const rank = Math.max(0, severityRank(level)) + Math.max(0, steps);
+  return SEVERITY_LEVELS[Math.min(rank, SEVERITY_LEVELS.length - 1)];
+}
+
+/** Accent colour for a level at the given opacity (for borders and backgrounds) */
+export function severityTint(level, alpha) {
+  const { accent } = SEVERITIES[level] || SEVERITIES.warning;
+  return `rgba(${accent},${alpha})`;
+}
@@ -1,39 +1,173 @@
 import dayjs from "dayjs";
+import {
+  DEFAULT_RULES,
+  slotMatchesRule,
+  matchingRunLength,
+  ruleExceedance,
+  ruleSeverity,
+} from "./alertRules";
+import { maxSeverity } from "./severity";
 
 /**
- * Decide if a slot is "bad weather" and generate advice.
- * Tweak thresholds to taste.
+ * Decide if a slot is "bad weather" and generate advice from the user's rules.
+ * Pass the forecast the slot belongs to so rules with a duration can be checked;
+ * without it every rule is treated as a one-hour rule.
  */
-export function assessSlot(slot) {
-  const cold = slot.tempC <= 3;             // very cold
-  const veryHot = slot.tempC >= 30;         // very hot
-  const heavyRain = slot.precipMM >= 2.0;   // ≥2 mm in the hour
-  const rain = slot.precipMM >= 0.2;        // any notable rain
-  const windy = slot.windMS >= 10;          // ~36 km/h
-
-  const reasons = [];
-  if (heavyRain) reasons.push("heavy rain");
-  else if (rain) reasons.push("rain");
-  if (windy) reasons.push("strong wind");
-  if (cold) reasons.push("cold");
-  if (veryHot) reasons.push("heat");
-
-  const isBad = reasons.length > 0;
-
-  let advice = "Normal conditions.";
-  if (isBad) {
-    if (heavyRain) advice = "Bring a sturdy umbrella and waterproof jacket.";
-    else if (rain) advice = "Pack an umbrella or raincoat.";
-    if (windy) advice += " Wear a windbreaker and secure loose items.";
-    if (cold) advice += " Dress warmly (coat, gloves).";
-    if (veryHot) advice += " Stay hydrated and wear sunscreen.";
-  }
+export function assessSlot(slot, rules = DEFAULT_RULES, forecast = null) {
+  const index = forecast ? forecast.findIndex((s) => s.time === slot.time) : -1;
+  const groupsHit = new Set();
+  const matched = [];
+
+  rules.forEach((rule) => {
+    if (!rule.enabled) return;
+    if (rule.group && groupsHit.has(rule.group)) return;
+
+    const durationH = Math.max(1, Number(rule.durationH) || 1);
+    const ok =
+      durationH > 1 && index >= 0
+        ? matchingRunLength(rule, forecast, index) >= durationH
+        : slotMatchesRule(rule, slot);
+    if (!ok) return;
+
+    if (rule.group) groupsHit.add(rule.group);
+    matched.push(rule);
+  });
 
-  return { isBad, reasons, advice: advice.trim() };
+  const isBad = matched.length > 0;
+  const reasons = matched.map((r) => r.label);
+  const advice = isBad
+    ? matched.map((r) => r.advice).filter(Boolean).join(" ")
+    : "Normal conditions.";
+
+  // Every threshold crossed counts, including group alternatives that were
+  // suppressed above, so a "heavy rain" hour outranks a "rain" hour
+  const crossed = isBad ? rules.filter((r) => r.enabled && slotMatchesRule(r, slot)) : [];
+  const intensity = crossed.reduce((sum, r) => sum + 1 + ruleExceedance(r, slot), 0);
+  const severity = matched.reduce((level, r) => maxSeverity(level, ruleSeverity(r, slot)), null);
+
+  return {
+    isBad,
+    reasons,
+    advice: advice.trim(),
+    rules: matched.map((r) => r.id),
+    intensity,
+    severity,
+    matched,
+  };
 }
 
 /** Find the next bad slot and return it (or null) */
-export function findNextBadWeatherSlot(forecast) {
+export function findNextBadWeatherSlot(forecast, rules = DEFAULT_RULES) {
   const now = dayjs();
-  return forecast.find(s => dayjs(s.time).isAfter(now) && assessSlot(s).isBad) || null;
+  return (
+    forecast.find((s) => dayjs(s.time).isAfter(now) && assessSlot(s, rules, forecast).isBad) || null
+  );
+}
+
+const SLOT_MS = 60 * 60 * 1000;
+
+/**
+ * Group contiguous bad hours (current or upcoming) into episodes:
+ * [{ start, end, peakTime, peak, severity, slots, reasons, advice, rules }]
+ * `end` is the end of the last bad hour; `peak` is the worst slot's assessment
+ * and `severity` the highest level reached in any hour.
+ */
+export function findBadWeatherEpisodes(forecast, rules = DEFAULT_RULES) {
+  const now = Date.now();
+  const episodes = [];
+  let open = null;
+
+  forecast.forEach((slot) => {
+    const t = Date.parse(slot.time);
+    if (t + SLOT_MS <= now) return; // hour already over
+    const assess = assessSlot(slot, rules, forecast);
+
+    // Close the episode on a good hour or a gap in the timeline
+    if (open && (!assess.isBad || t > Date.parse(open.lastTime) + SLOT_MS)) {
+      episodes.push(finishEpisode(open, rules));
+      open = null;
+    }
+    if (!assess.isBad) return;
+
+    if (!open) open = { slots: [], assessments: [] };
+    open.slots.push(slot);
+    open.assessments.push(assess);
+    open.lastTime = slot.time;
+  });
+  if (open) episodes.push(finishEpisode(open, rules));
+  return episodes;
+}
+
+function finishEpisode({ slots, assessments }, rules) {
+  let peakIdx = 0;
+  assessments.forEach((a, i) => {
+    if (a.intensity > assessments[peakIdx].intensity) peakIdx = i;
+  });
+
+  // One entry per rule group: labelled by the first rule seen ("rain"),
+  // advised by the strongest one seen ("heavy rain" advice)
+  const byGroup = new Map();
+  const order = (r) => rules.indexOf(r);
+  assessments.forEach((a) =>
+    a.matched.forEach((r) => {
+      const key = r.group || r.id;
+      const entry = byGroup.get(key);
+      if (!entry) byGroup.set(key, { first: r, strongest: r });
+      else if (order(r) < order(entry.strongest)) entry.strongest = r;
+    })
+  );
+  const groups = [...byGroup.values()];
+
+  const last = slots[slots.length - 1];
+  return {
+    start: slots[0].time,
+    end: new Date(Date.parse(last.time) + SLOT_MS).toISOString(),
+    peakTime: slots[peakIdx].time,
+    peak: assessments[peakIdx],
+    severity: assessments.reduce((level, a) => maxSeverity(level, a.severity), null),
+    slots,
+    reasons: [...new Set(groups.map((g) => g.first.label))],
+    advice: groups.map((g) => g.strongest.advice).filter(Boolean).join(" "),
+    rules: groups.map((g) => g.first),
+  };
+}
+
+/** Superlative for the episode's headline reason ("heaviest 16:00") */
+function peakWord(rule) {
+  if (!rule) return "peak";
+  if (rule.param.endsWith("MM") || rule.param === "snowCM") return "heaviest";
+  if (rule.param === "windMS" || rule.param === "gustMS") return "strongest";
+  if (["tempC", "feelsLikeC", "apparentTempC"].includes(rule.param)) {
+    return rule.comparator.startsWith("<") ? "coldest" : "hottest";
+  }
+  return "peak";
+}
+
+/**
+ * The hour furthest past `rule`'s threshold, so the superlative describes that
+ * rule's own peak (the heaviest rain, not the windiest hour of a rain + wind episode)
+ */
+function rulePeakTime(rule, slots) {
+  let best = null;
+  slots.forEach((slot) => {
+    if (!slotMatchesRule(rule, slot)) return;
+    const exceedance = ruleExceedance(rule, slot);
+    if (!best || exceedance > best.exceedance) best = { time: slot.time, exceedance };
+  });
+  return best?.time ?? null;
+}
+
+const hhmm = (iso) => dayjs(iso).local().format("HH:mm");
+
+/** "Rain 14:00–19:00, heaviest 16:00" (or "Rain around 14:00" for a single hour) */
+export function describeEpisode(episode) {
+  const what = episode.reasons.join(", ");
+  const label = what.charAt(0).toUpperCase() + what.slice(1);
+  if (episode.slots.length === 1) return `${label} around ${hhmm(episode.start)}`;
+
+  // Headline rule's own peak; the overall worst hour only gets the neutral word
+  const primary = episode.rules[0];
+  const primaryPeak = primary ? rulePeakTime(primary, episode.slots) : null;
+  const [word, time] = primaryPeak ? [peakWord(primary), primaryPeak] : ["peak", episode.peakTime];
+  return `${label} ${hhmm(episode.start)}–${hhmm(episode.end)}, ${word} ${hhmm(time)}`;
 }
@@ -0,0 +1,99 @@
+/**
+ * Meteomatics weather_symbol_1h:idx -> condition, icon, headline and card gradient.
+ * Codes 1–16 are daytime; night variants are the same code + 100.
+ * Other providers map their codes onto this scale (see openMeteo/metNorway).
+ */
+
+const GRADIENTS = {
+  clear: ["#1a2a44", "#16213a", "#101520"],
+  night: ["#0f1326", "#111526", "#0b0d16"],
+  cloudy: ["#1b1f29", "#171b24", "#111318"],
+  rain: ["#122238", "#131c2c", "#0f131b"],
+  snow: ["#1f2a3a", "#1a2230", "#12161e"],
+  storm: ["#231a33", "#1a1526", "#111018"],
+  fog: ["#20232a", "#1a1c22", "#121317"],
+  hot: ["#2a1b0b", "#1a1410", "#121319"],
+  default: ["#131722", "#141a26", "#101216"],
+};
+
+// code -> [condition, label, day icon, night icon, gradient]
+const SYMBOLS = {
+  1: ["clear", "Clear", "weather-sunny", "weather-night", "clear"],
+  2: ["mostly-clear", "Mostly clear", "weather-partly-cloudy", "weather-night-partly-cloudy", "clear"],
+  3: ["partly-cloudy", "Partly cloudy", "weather-partly-cloudy", "weather-night-partly-cloudy", "cloudy"],
+  4: ["cloudy", "Cloudy", "weather-cloudy", "weather-cloudy", "cloudy"],
+  5: ["rain", "Rain", "weather-rainy", "weather-rainy", "rain"],
+  6: ["sleet", "Sleet", "weather-snowy-rainy", "weather-snowy-rainy", "snow"],
+  7: ["snow", "Snow", "weather-snowy", "weather-snowy", "snow"],
+  8: ["rain-showers", "Showers", "weather-partly-rainy", "weather-rainy", "rain"],
+  9: ["snow-showers", "Snow showers", "weather-partly-snowy", "weather-snowy", "snow"],
+  10: ["sleet-showers", "Sleet showers", "weather-partly-snowy-rainy", "weather-snowy-rainy", "snow"],
+  11: ["fog", "Light fog", "weather-fog", "weather-fog", "fog"],
+  12: ["fog", "Dense fog", "weather-fog", "weather-fog", "fog"],
+  13: ["freezing-rain", "Freezing rain", "weather-snowy-rainy", "weather-snowy-rainy", "snow"],
+  14: ["thunderstorm", "Thunderstorms", "weather-lightning-rainy", "weather-lightning-rainy", "storm"],
+  15: ["drizzle", "Drizzle", "weather-rainy", "weather-rainy", "rain"],
+  16: ["sandstorm", "Sandstorm", "weather-dust", "weather-dust", "fog"],
+};
+
+const RAINY = new Set(["rain", "rain-showers", "drizzle"]);
+const CALM = new Set(["clear", "mostly-clear", "partly-cloudy", "cloudy"]);
+
+// precipType -> code for steady precipitation and for showers
+const TYPED_CODES = {
+  rain: [5, 8],
+  sleet: [6, 10],
+  snow: [7, 9],
+  "freezing-rain": [13, 13],
+  hail: [14, 14],
+};
+
+/** Threshold guess for slots without a usable symbol (0 = undetermined) */
+function guessFromValues({ precipMM, tempC, precipType }) {
+  if (TYPED_CODES[precipType]) return { code: TYPED_CODES[precipType][0], isNight: false };
+  if (precipMM >= 0.2) return { code: 5, isNight: false };
+  if (tempC >= 30) return { code: 1, isNight: false };
+  return { code: 3, isNight: false };
+}
+
+/**
+ * Describe a slot (or a daily summary) for display.
+ * Returns { condition, label, icon, gradient, isNight, code }.
+ */
+export function describeWeather({ symbol, precipMM, tempC, windMS, precipType, iceRisk } = {}) {
+  let code = Number.isFinite(symbol) ? symbol % 100 : 0;
+  let isNight = Number.isFinite(symbol) && symbol > 100;
+  if (!SYMBOLS[code]) ({ code, isNight } = guessFromValues({ precipMM, tempC, precipType }));
+
+  // A "rain" symbol at sub-zero temperatures is really snow, sleet or freezing rain
+  if (RAINY.has(SYMBOLS[code][0]) && TYPED_CODES[precipType] && precipType !== "rain") {
+    code = TYPED_CODES[precipType][SYMBOLS[code][0] === "rain-showers" ? 1 : 0];
+  }
+
+  const [condition, baseLabel, dayIcon, nightIcon, gradientKey] = SYMBOLS[code];
+  let label = baseLabel;
+  let icon = isNight ? nightIcon : dayIcon;
+  let gradient = GRADIENTS[gradientKey];
+
+  if (RAINY.has(condition) && precipMM >= 2) {
+    label = "Heavy rain";
+    icon = "weather-pouring";
+  }
+  if (CALM.has(condition)) {
+    if (isNight && condition !== "cloudy") gradient = GRADIENTS.night;
+    if (tempC >= 30) {
+      label = "Very hot";
+      gradient = GRADIENTS.hot;
+    } else if (iceRisk) {
+      label = "Icy";
+      icon = "snowflake-alert";
+      gradient = GRADIENTS.snow;
+    } else if (Number.isFinite(tempC) && tempC <= 3) {
+      label = "Very cold";
+    } else if (windMS >= 10) {
+      label = `${label}, windy`;
+    }
+  }
+
+  return { condition, label, icon, gradient: gradient || GRADIENTS.default, isNight, code };
+}
@@ -0,0 +1,45 @@
+// In-memory response cache keyed by rounded coordinate + hour.
+// Entries expire after `ttlMs`; the oldest are evicted past `maxEntries`.
+
+export function createCache({ ttlMs = 30 * 60 * 1000, maxEntries = 500 } = {}) {
+  const entries = new Map(); // key -> { t, value }
+  const inflight = new Map(); // key -> Promise
+
+  function get(key) {
+    const hit = entries.get(key);
+    if (!hit) return null;
+    if (Date.now() - hit.t > ttlMs) {
+      entries.delete(key);
+      return null;
+    }
+    return hit.value;
+  }
+
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { t: Date.now(), value });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /** Return cached value or run `load` once, sharing it between concurrent callers */
+  async function getOrLoad(key, load) {
+    const hit = get(key);
+    if (hit) return { value: hit, cached: true };
+    if (!inflight.has(key)) {
+      inflight.set(
+        key,
+        load()
+          .then((value) => {
+            set(key, value);
+            return value;
+          })
+          .finally(() => inflight.delete(key))
+      );
+    }
+    return { value: await inflight.get(key), cached: false };
+  }
+
+  return { get, set, getOrLoad, size: () => entries.size };
+}
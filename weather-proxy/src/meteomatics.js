@@ -0,0 +1,84 @@
+// Server-side Meteomatics client. Parameters and parse() are a copy of
+// weather-alert/src/services/meteomatics.js so the app gets the same slot shape:
+// keep the two in sync when adding or renaming slot fields.
+
+const BASE = "https://api.meteomatics.com";
+
+const CORE_PARAMS = "t_2m:C,precip_1h:mm,wind_speed_10m:ms,weather_symbol_1h:idx,wind_gusts_10m_1h:ms";
+export const PARAM_SETS = {
+  core: CORE_PARAMS,
+  full: [
+    CORE_PARAMS,
+    "relative_humidity_2m:p",
+    "t_apparent:C",
+    "uv:idx",
+    "visibility:m",
+    "effective_cloud_cover:p",
+    "fresh_snow_1h:cm",
+    "precip_type:idx",
+  ].join(","),
+};
+
+export class UpstreamError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const isoNoMillis = (d) => d.toISOString().replace(/\.\d{3}Z$/, "Z");
+
+/** Fetch hourly slots between two Dates for one point */
+export async function fetchSlots({ lat, lon, from, to, set = "full" }) {
+  // Presence is checked at boot in server.js
+  const { METEOMATICS_USERNAME, METEOMATICS_PASSWORD } = process.env;
+
+  const params = PARAM_SETS[set] ?? PARAM_SETS.full;
+  const url = `${BASE}/${isoNoMillis(from)}--${isoNoMillis(to)}:PT1H/${params}/${lat},${lon}/json?model=mix`;
+  const auth = Buffer.from(`${METEOMATICS_USERNAME}:${METEOMATICS_PASSWORD}`).toString("base64");
+
+  let res;
+  try {
+    res = await fetch(url, {
+      headers: { Authorization: `Basic ${auth}` },
+      signal: AbortSignal.timeout(12000),
+    });
+  } catch (e) {
+    if (e.name === "TimeoutError") throw new UpstreamError("Meteomatics request timed out.", 504);
+    throw new UpstreamError(`Meteomatics unreachable: ${e.message}`);
+  }
+  if (res.status === 401) throw new UpstreamError("Meteomatics rejected the proxy credentials.");
+  if (!res.ok) throw new UpstreamError(`Meteomatics error: ${res.status}`);
+  return parse(await res.json());
+}
+
+// precip_type:idx -> our precipitation type names (0 = none)
+const PRECIP_TYPE_IDX = { 1: "rain", 2: "sleet", 3: "snow", 4: "sleet", 5: "freezing-rain", 6: "hail" };
+
+function parse(json) {
+  // Convert Meteomatics shape into array of hourly slots
+  const map = {};
+  json?.data?.forEach((series) => {
+    const key = series.parameter;
+    const dates = series.coordinates?.[0]?.dates ?? [];
+    dates.forEach((d, i) => {
+      if (!map[i]) map[i] = { time: d.date };
+      map[i][key] = d.value;
+    });
+  });
+  return Object.values(map).map((x) => ({
+    time: x.time,
+    tempC: x["t_2m:C"],
+    precipMM: x["precip_1h:mm"],
+    windMS: x["wind_speed_10m:ms"],
+    symbol: x["weather_symbol_1h:idx"],
+    gustMS: x["wind_gusts_10m_1h:ms"],
+    humidityPct: x["relative_humidity_2m:p"],
+    apparentTempC: x["t_apparent:C"],
+    uvIndex: x["uv:idx"],
+    visibilityM: x["visibility:m"],
+    cloudPct: x["effective_cloud_cover:p"],
+    snowCM: x["fresh_snow_1h:cm"],
+    precipType: PRECIP_TYPE_IDX[x["precip_type:idx"]] ?? null,
+  }));
+}
@@ -0,0 +1,28 @@
+// Fixed-window request limiter keyed by client (IP address).
+// Each key may make `limit` requests per `windowMs`; expired windows are pruned lazily.
+
+export function createRateLimit({ limit = 30, windowMs = 60 * 1000, maxKeys = 10000 } = {}) {
+  const windows = new Map(); // key -> { start, count }
+
+  function prune(now) {
+    for (const [key, w] of windows) {
+      if (now - w.start >= windowMs) windows.delete(key);
+    }
+  }
+
+  /** Count one request for `key`; { ok, retryAfterS } */
+  function hit(key) {
+    const now = Date.now();
+    let w = windows.get(key);
+    if (!w || now - w.start >= windowMs) {
+      if (windows.size >= maxKeys) prune(now);
+      w = { start: now, count: 0 };
+      windows.set(key, w);
+    }
+    w.count += 1;
+    if (w.count <= limit) return { ok: true, retryAfterS: 0 };
+    return { ok: false, retryAfterS: Math.ceil((w.start + windowMs - now) / 1000) };
+  }
+
+  return { hit, size: () => windows.size };
+}
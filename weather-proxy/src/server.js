@@ -0,0 +1,140 @@
+// Weather proxy: keeps Meteomatics credentials server-side and serves the
+// app's parsed slot shape. Configure via env (`npm start` reads .env, see .env.example):
+//   METEOMATICS_USERNAME, METEOMATICS_PASSWORD  (required)
+//   PROXY_TOKEN  (required; clients send "Authorization: Bearer <token>". The app
+//     bundle carries it, so it deters casual abuse rather than authenticating)
+//   PORT (default 8787), CACHE_TTL_MIN (default 30), RATE_LIMIT_PER_MIN (default 30)
+import http from "node:http";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { fetchSlots, PARAM_SETS, UpstreamError } from "./meteomatics.js";
+import { createCache } from "./cache.js";
+import { createRateLimit } from "./rateLimit.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_HOURS = 240;
+const HOUR_MS = 60 * 60 * 1000;
+// Accepted "start" range around now: the app asks from today's local midnight onwards
+const MAX_START_PAST_MS = 24 * HOUR_MS;
+const MAX_START_AHEAD_MS = MAX_HOURS * HOUR_MS;
+
+// Fail at boot rather than on the first forecast request
+const REQUIRED_ENV = ["METEOMATICS_USERNAME", "METEOMATICS_PASSWORD", "PROXY_TOKEN"];
+const missing = REQUIRED_ENV.filter((name) => !process.env[name]);
+if (missing.length) {
+  console.error(`[weather-proxy] Missing required env: ${missing.join(", ")}`);
+  process.exit(1);
+}
+const { PROXY_TOKEN } = process.env;
+
+const cache = createCache({ ttlMs: (Number(process.env.CACHE_TTL_MIN) || 30) * 60 * 1000 });
+// Per client IP, counted before the cache so misses and hits cost the same
+const rateLimit = createRateLimit({ limit: Number(process.env.RATE_LIMIT_PER_MIN) || 30 });
+
+class HttpError extends Error {
+  constructor(message, status, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+class BadRequest extends HttpError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+// Hash both sides so the comparison is constant-time regardless of length
+const digest = (s) => createHash("sha256").update(String(s)).digest();
+const TOKEN_DIGEST = digest(PROXY_TOKEN);
+
+function authorize(req) {
+  const [scheme, token] = (req.headers.authorization ?? "").split(" ");
+  if (scheme !== "Bearer" || !token || !timingSafeEqual(digest(token), TOKEN_DIGEST)) {
+    throw new HttpError("Unauthorized", 401, { "WWW-Authenticate": "Bearer" });
+  }
+  const { ok, retryAfterS } = rateLimit.hit(req.socket.remoteAddress ?? "unknown");
+  if (!ok) throw new HttpError("Too many requests", 429, { "Retry-After": String(retryAfterS) });
+}
+
+function readNumber(params, name, { min, max, fallback } = {}) {
+  const raw = params.get(name);
+  if (raw == null || raw === "") {
+    if (fallback !== undefined) return fallback;
+    throw new BadRequest(`Missing "${name}"`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < min || n > max) throw new BadRequest(`Invalid "${name}"`);
+  return n;
+}
+
+/**
+ * GET /forecast?lat=&lon=[&start=ISO][&hours=6][&set=full|core]
+ * -> { current, forecast } with hourly slots from the start hour.
+ * Coordinates are rounded to 0.01° (~1 km) so nearby users share cache entries.
+ */
+async function handleForecast(params) {
+  const lat = readNumber(params, "lat", { min: -90, max: 90 }).toFixed(2);
+  const lon = readNumber(params, "lon", { min: -180, max: 180 }).toFixed(2);
+  const hours = Math.round(readNumber(params, "hours", { min: 1, max: MAX_HOURS, fallback: 6 }));
+  const set = params.get("set") || "full";
+  if (!PARAM_SETS[set]) throw new BadRequest(`Invalid "set"`);
+
+  const startRaw = params.get("start");
+  const startMs = startRaw ? Date.parse(startRaw) : Date.now();
+  const offset = startMs - Date.now();
+  if (!Number.isFinite(startMs) || offset < -MAX_START_PAST_MS || offset > MAX_START_AHEAD_MS) {
+    throw new BadRequest(`Invalid "start"`);
+  }
+  const from = new Date(Math.floor(startMs / HOUR_MS) * HOUR_MS);
+  const to = new Date(from.getTime() + hours * HOUR_MS);
+
+  // Current hour is part of the key so entries roll over as forecasts update
+  const nowHour = new Date().toISOString().slice(0, 13);
+  const key = `${lat},${lon}:${from.toISOString().slice(0, 13)}:${hours}:${set}:${nowHour}`;
+
+  const { value: forecast, cached } = await cache.getOrLoad(key, () =>
+    fetchSlots({ lat, lon, from, to, set })
+  );
+  return { body: { current: forecast[0] ?? null, forecast }, cached };
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== "GET") return send(res, 405, { error: "Method not allowed" });
+
+  try {
+    // Fixed base: the Host header is client-controlled and may not parse
+    let url;
+    try {
+      url = new URL(req.url, "http://localhost");
+    } catch {
+      throw new BadRequest("Invalid request URL");
+    }
+
+    if (url.pathname === "/health") {
+      return send(res, 200, { ok: true, cacheEntries: cache.size() });
+    }
+    if (url.pathname === "/forecast") {
+      authorize(req);
+      const { body, cached } = await handleForecast(url.searchParams);
+      return send(res, 200, body, { "X-Cache": cached ? "HIT" : "MISS" });
+    }
+    return send(res, 404, { error: "Not found" });
+  } catch (e) {
+    const status = e instanceof HttpError || e instanceof UpstreamError ? e.status : 500;
+    if (status >= 500) console.error("[weather-proxy]", e);
+    return send(res, status, { error: e.message }, e.headers);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[weather-proxy] listening on :${PORT}`);
+});